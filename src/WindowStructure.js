@@ -8,25 +8,131 @@ class Dragger {
     /**
      * @constructs Dragger
      * @param {HTMLElement | null} element The element to drag.
+     * @param {{mode: string, handle: string, containment: any, axis: string, grid: any}} options The drag mode ("pointer" by default or "native"),
+     * the CSS selector of the handle inside the element (only in "pointer" mode) & the constraints (see `setConstraints()`).
      */
-    constructor(element) {
+    constructor(element, options = {}) {
         /**
          * The element to drag.
          * @type {HTMLElement | null}
          * @private
          */
         this.element = null;
+        /**
+         * The drag mode: "pointer" (the wrapper follows the pointer, works with mouse, touch & pen)
+         * or "native" (HTML5 drag and drop).
+         * @type {string}
+         * @default "pointer"
+         * @private
+         */
+        this.mode = "pointer";
+        /**
+         * The element from which we can drag (only in "pointer" mode). By default, the element itself.
+         * @type {HTMLElement | null}
+         * @private
+         */
+        this.handle = null;
+        /**
+         * False if the dragger has been temporarily disabled.
+         * @type {boolean}
+         * @default true
+         * @private
+         */
+        this.enabled = true;
+        /**
+         * The difference between the position of the wrapper & the position of the pointer when the drag started.
+         * @type {{x: number, y: number} | null}
+         * @private
+         */
+        this.pointerOffset = null;
+        /**
+         * The bound listeners of the "pointer" mode (we need them to remove the listeners).
+         * @private
+         */
+        this.pointerListeners = {};
+        /**
+         * The bound listener of the "dragover" events of the document while dragging in "native" mode.
+         * @private
+         */
+        this.dragOverListener = null;
+        /**
+         * The constraints applied to the position of the wrapper while dragging.
+         * @type {{containment: string | HTMLElement | {x: number, y: number, width: number, height: number} | null, axis: string | null, grid: number | Array<number> | null}}
+         * @private
+         */
+        this.constraints = { containment: null, axis: null, grid: null };
+        /**
+         * The position of the wrapper when the drag started.
+         * @type {{x: number, y: number}}
+         * @private
+         */
+        this.startPosition = { x: 0, y: 0 };
+        /**
+         * The position of the pointer (relative to the viewport) when it was pressed ("pointer" mode).
+         * @type {{x: number, y: number}}
+         * @private
+         */
+        this.pointerStart = { x: 0, y: 0 };
+        /**
+         * True if the pointer has moved since it was pressed ("pointer" mode).
+         * @type {boolean}
+         * @default false
+         * @private
+         */
+        this.moved = false;
+        /**
+         * A function to call when the element starts moving. It receives the position of the pointer relative to the viewport.
+         * @type {Function}
+         * @public
+         */
+        this.dragStartCallback = function () { };
+        /**
+         * A function to call every time the element moves (in "native" mode, every time the pointer moves over the page).
+         * It receives the position of the pointer relative to the viewport.
+         * @type {Function}
+         * @public
+         */
+        this.dragMoveCallback = function () { };
+        /**
+         * A function to call when the element is dropped. It receives the position of the pointer relative to the viewport.
+         * @type {Function}
+         * @public
+         */
+        this.dragEndCallback = function () { };
         if (element === null) {
             throw new Error("The element does not exist.");
         }
-        this.wrapper = document.createElement("div");
-        this.wrapper.setAttribute("class", "tooltip drag");
-        if (element.parentNode) {
-            element.parentNode.insertBefore(this.wrapper, element);
+        if (options.mode !== undefined && options.mode !== "pointer" && options.mode !== "native") {
+            throw new Error('Dragger: the mode must be "pointer" or "native".');
+        }
+        this.mode = options.mode || "pointer";
+        this.setConstraints(options);
+        this.handle = options.handle ? element.querySelector(options.handle) : null;
+        if (Dragger.isWrapper(element.parentElement)) {
+            // a pre-rendered wrapper (see `WindowStructure.renderToString()`)
+            this.wrapper = element.parentElement;
+        }
+        else {
+            this.wrapper = document.createElement("div");
+            this.wrapper.setAttribute("class", "tooltip drag");
+            this.wrapper.setAttribute("data-window-wrapper", "");
+            if (element.parentNode) {
+                element.parentNode.insertBefore(this.wrapper, element);
+            }
+            this.wrapper.appendChild(element);
         }
-        this.wrapper.appendChild(element);
         element.dragger = this.init(this.wrapper, element);
     }
+    /**
+     * Returns true if an element is the wrapper of a dragger (the class "drag" & the attribute `data-window-wrapper`),
+     * even if it has been rendered on a server. An element with just the class "drag" is not a wrapper.
+     * @param {Element | null} element The element.
+     * @returns {boolean} True if the element is a wrapper.
+     * @public
+     */
+    static isWrapper(element) {
+        return element !== null && element.classList.contains("drag") && element.hasAttribute("data-window-wrapper");
+    }
     /**
      * Initializes the dragger.
      * @param {HTMLDivElement} wrapper The previously created wrapper.
@@ -37,11 +143,177 @@ class Dragger {
     init(wrapper, element) {
         this.wrapper = wrapper;
         this.element = element;
-        this.element.draggable = true;
-        this.element.setAttribute("draggable", "true");
-        this.element.addEventListener("dragstart", this.dragStart.bind(this));
+        if (this.mode === "native") {
+            this.element.draggable = true;
+            this.element.setAttribute("draggable", "true");
+            this.element.addEventListener("dragstart", this.dragStart.bind(this));
+            this.element.addEventListener("dragend", this.nativeDragEnd.bind(this));
+        }
+        else {
+            var handle = this.handle || this.element;
+            // we don't want the browser to scroll the page while dragging on a touch screen
+            handle.style.touchAction = "none";
+            handle.addEventListener("pointerdown", this.pointerDown.bind(this));
+            this.pointerListeners = {
+                pointermove: this.pointerMove.bind(this),
+                pointerup: this.pointerUp.bind(this),
+                pointercancel: this.pointerUp.bind(this),
+            };
+        }
         return this;
     }
+    /**
+     * Defines the constraints applied to the position of the wrapper while dragging.
+     * Only the specified constraints are changed, use `null` to remove one.
+     * @param {{containment: any, axis: string, grid: any}} constraints
+     * - `containment`: "parent" (the parent of the wrapper), "viewport", an HTML element
+     * or a rect `{x, y, width, height}` relative to the viewport (like `getBoundingClientRect()`). The element has to stay inside.
+     * - `axis`: "x" or "y" to move the element only horizontally or vertically.
+     * - `grid`: the size of the cells of the grid on which the position is snapped (a number or `[x, y]`).
+     * @public
+     */
+    setConstraints(constraints) {
+        if (constraints.axis !== undefined &&
+            constraints.axis !== null &&
+            constraints.axis !== "x" &&
+            constraints.axis !== "y") {
+            throw new Error('Dragger: the axis must be "x", "y" or null.');
+        }
+        if (typeof constraints.containment === "string" &&
+            constraints.containment !== "parent" &&
+            constraints.containment !== "viewport") {
+            throw new Error('Dragger: the containment must be "parent", "viewport", an HTML element, a rect or null.');
+        }
+        if (constraints.containment !== undefined)
+            this.constraints.containment = constraints.containment;
+        if (constraints.axis !== undefined)
+            this.constraints.axis = constraints.axis;
+        if (constraints.grid !== undefined)
+            this.constraints.grid = constraints.grid;
+    }
+    /**
+     * Gets the rect (relative to the viewport) in which the element has to stay.
+     * @returns {{x: number, y: number, width: number, height: number} | null} The rect or null if there is no containment.
+     * @private
+     */
+    getContainmentRect() {
+        var containment = this.constraints.containment;
+        if (!containment)
+            return null;
+        if (containment === "viewport") {
+            return {
+                x: 0,
+                y: 0,
+                width: document.documentElement.clientWidth,
+                height: document.documentElement.clientHeight,
+            };
+        }
+        var containerElement = null;
+        if (containment === "parent") {
+            containerElement = this.wrapper.parentElement;
+        }
+        else if (containment instanceof HTMLElement) {
+            containerElement = containment;
+        }
+        else if (typeof containment === "object") {
+            return containment;
+        }
+        if (containerElement) {
+            var rect = containerElement.getBoundingClientRect();
+            return { x: rect.left, y: rect.top, width: rect.width, height: rect.height };
+        }
+        return null;
+    }
+    /**
+     * Applies the constraints (axis, grid & containment) to a new position of the wrapper.
+     * @param {number} x The new left position (in px).
+     * @param {number} y The new top position (in px).
+     * @returns {{x: number, y: number}} The constrained position.
+     * @private
+     */
+    constrain(x, y) {
+        if (this.constraints.axis === "x") {
+            y = this.startPosition.y;
+        }
+        else if (this.constraints.axis === "y") {
+            x = this.startPosition.x;
+        }
+        var minX = -Infinity;
+        var minY = -Infinity;
+        var maxX = Infinity;
+        var maxY = Infinity;
+        var bounds = this.getContainmentRect();
+        if (bounds && this.element) {
+            // The position of the element in the viewport moves exactly like the position of the wrapper,
+            // therefore we can compare the bounds with the current rect of the element.
+            var current = this.getElementRect(this.wrapper);
+            var elementRect = this.element.getBoundingClientRect();
+            minX = bounds.x - elementRect.left + current.x;
+            minY = bounds.y - elementRect.top + current.y;
+            maxX = minX + bounds.width - elementRect.width;
+            maxY = minY + bounds.height - elementRect.height;
+            // if the element is bigger than the containment, its top left corner remains visible
+            x = Math.max(minX, Math.min(x, maxX));
+            y = Math.max(minY, Math.min(y, maxY));
+        }
+        // the grid is applied after the containment: the nearest line of the grid inside the bounds
+        var grid = this.constraints.grid;
+        if (grid) {
+            var cellX = typeof grid === "number" ? grid : grid[0];
+            var cellY = typeof grid === "number" ? grid : grid[1];
+            if (cellX > 0)
+                x = this.snapToGrid(x, cellX, minX, maxX);
+            if (cellY > 0)
+                y = this.snapToGrid(y, cellY, minY, maxY);
+        }
+        return { x: x, y: y };
+    }
+    /**
+     * Snaps a coordinate to the nearest line of the grid between two bounds.
+     * Without any line between the bounds, the coordinate doesn't change.
+     * @param {number} value The coordinate, already between the bounds.
+     * @param {number} cell The size of the cells of the grid.
+     * @param {number} min The lower bound.
+     * @param {number} max The upper bound.
+     * @returns {number} The snapped coordinate.
+     * @private
+     */
+    snapToGrid(value, cell, min, max) {
+        var snapped = Math.round(value / cell) * cell;
+        if (snapped > max)
+            snapped = Math.floor(max / cell) * cell;
+        if (snapped < min)
+            snapped = Math.ceil(min / cell) * cell;
+        return snapped >= min && snapped <= max ? snapped : value;
+    }
+    /**
+     * Enables the dragger (after `disable()`).
+     * @public
+     */
+    enable() {
+        this.enabled = true;
+        if (this.mode === "native" && this.element) {
+            this.element.setAttribute("draggable", "true");
+        }
+    }
+    /**
+     * Temporarily disables the dragger.
+     * @public
+     */
+    disable() {
+        this.enabled = false;
+        if (this.mode === "native" && this.element) {
+            this.element.setAttribute("draggable", "false");
+        }
+    }
+    /**
+     * Returns true if the dragger is enabled.
+     * @returns {boolean} True if the element can be dragged.
+     * @public
+     */
+    isEnabled() {
+        return this.enabled;
+    }
     /**
      * Gets the value of a CSS attribute.
      * @param {CSSStyleDeclaration} style The CSS declaration of an object.
@@ -51,8 +323,9 @@ class Dragger {
      */
     getPropertyValue(style, prop) {
         let value = style.getPropertyValue(prop);
-        value = value ? value.replace(/[^0-9.]/g, "") : "0";
-        return parseFloat(value);
+        // keep the minus sign: the wrapper can be partially out of its parent
+        value = value ? value.replace(/[^0-9.-]/g, "") : "0";
+        return parseFloat(value) || 0;
     }
     /**
      * Gets the position and the width of an element.
@@ -75,9 +348,17 @@ class Dragger {
      * @public
      */
     dragStart(event) {
+        this.dragStartCallback(event.clientX, event.clientY);
         let wrapperRect = this.getElementRect(this.wrapper);
+        this.startPosition = { x: wrapperRect.x, y: wrapperRect.y };
         var x = wrapperRect.x - parseFloat(event.clientX.toString());
         var y = wrapperRect.y - parseFloat(event.clientY.toString());
+        // the element stays in place until it is dropped, but the pointer is followed over the page
+        var self = this;
+        this.dragOverListener = function (event) {
+            self.dragMoveCallback(event.clientX, event.clientY);
+        };
+        document.addEventListener("dragover", this.dragOverListener);
         if (this.element) {
             if (event.dataTransfer) {
                 event.dataTransfer.setData("text/plain", this.element.id + "," + x + "," + y);
@@ -90,6 +371,16 @@ class Dragger {
             throw new Error("An error has occured. The element to drag is not defined.");
         }
     }
+    /**
+     * Stops following the pointer at the end of a drag in "native" mode (dropped or cancelled).
+     * @private
+     */
+    nativeDragEnd() {
+        if (this.dragOverListener) {
+            document.removeEventListener("dragover", this.dragOverListener);
+            this.dragOverListener = null;
+        }
+    }
     /**
      * Stops the process (moves the element to its new position on the page).
      * @param {MouseEvent} event The event.
@@ -100,684 +391,5980 @@ class Dragger {
     dragStop(event, prevX, prevY) {
         var posX = parseFloat(event.clientX.toString()) + prevX;
         var posY = parseFloat(event.clientY.toString()) + prevY;
-        this.wrapper.style.left = posX + "px";
-        this.wrapper.style.top = posY + "px";
+        var position = this.constrain(posX, posY);
+        this.moveTo(position.x, position.y);
+        this.dragEndCallback(event.clientX, event.clientY);
     }
-}
-// init the drag event
-document.body.addEventListener("dragover", function (event) {
-    event.preventDefault();
-    return false;
-});
-document.body.addEventListener("drop", function (event) {
-    event.preventDefault();
-    if (event.dataTransfer) {
-        var dropData = event.dataTransfer.getData("text/plain").split(",");
-        var element = document.getElementById(dropData[0]);
-        if (element) {
-            element.dragger.dragStop(event, parseFloat(dropData[1]), parseFloat(dropData[2]));
+    /**
+     * Moves the wrapper to a new position.
+     * @param {number} x The new left position (in px).
+     * @param {number} y The new top position (in px).
+     * @public
+     */
+    moveTo(x, y) {
+        this.wrapper.style.left = x + "px";
+        this.wrapper.style.top = y + "px";
+    }
+    /**
+     * Moves the wrapper from its current position, with the constraints (axis, grid & containment).
+     * With a grid, the wrapper moves at least by one cell.
+     * @param {number} dx The horizontal movement (in px).
+     * @param {number} dy The vertical movement (in px).
+     * @public
+     */
+    moveBy(dx, dy) {
+        var current = this.getPosition();
+        this.startPosition = current;
+        var grid = this.constraints.grid;
+        if (grid) {
+            var cellX = typeof grid === "number" ? grid : grid[0];
+            var cellY = typeof grid === "number" ? grid : grid[1];
+            if (dx !== 0 && Math.abs(dx) < cellX)
+                dx = dx < 0 ? -cellX : cellX;
+            if (dy !== 0 && Math.abs(dy) < cellY)
+                dy = dy < 0 ? -cellY : cellY;
         }
-        else {
-            throw new Error("An error has occured. The element to drag is not defined.");
+        var position = this.constrain(current.x + dx, current.y + dy);
+        this.moveTo(position.x, position.y);
+    }
+    /**
+     * Gets the position of the wrapper.
+     * @returns {{x: number, y: number}} The left & top positions (in px).
+     * @public
+     */
+    getPosition() {
+        var rect = this.getElementRect(this.wrapper);
+        return { x: rect.x, y: rect.y };
+    }
+    /**
+     * Moves the wrapper so that the element is at a given position relative to the viewport.
+     * @param {number} x The new left position of the element in the viewport (in px).
+     * @param {number} y The new top position of the element in the viewport (in px).
+     * @public
+     */
+    moveElementTo(x, y) {
+        if (!this.element)
+            return;
+        var current = this.getElementRect(this.wrapper);
+        var elementRect = this.element.getBoundingClientRect();
+        this.moveTo(current.x + x - elementRect.left, current.y + y - elementRect.top);
+    }
+    /**
+     * Defines the function to call when the element starts moving.
+     * @param {Function} callback The function to call. It receives the position of the pointer relative to the viewport.
+     * @public
+     */
+    onDragStart(callback) {
+        this.dragStartCallback = callback;
+    }
+    /**
+     * Defines the function to call every time the element moves (in "native" mode, every time the pointer moves over the page).
+     * @param {Function} callback The function to call. It receives the position of the pointer relative to the viewport.
+     * @public
+     */
+    onDragMove(callback) {
+        this.dragMoveCallback = callback;
+    }
+    /**
+     * Defines the function to call when the element is dropped.
+     * @param {Function} callback The function to call. It receives the position of the pointer relative to the viewport.
+     * @public
+     */
+    onDragEnd(callback) {
+        this.dragEndCallback = callback;
+    }
+    /**
+     * Starts the process in "pointer" mode (the wrapper is going to follow the pointer).
+     * @param {PointerEvent} event The event.
+     * @private
+     */
+    pointerDown(event) {
+        if (!this.enabled || this.pointerOffset !== null)
+            return;
+        // only the main button of the mouse
+        if (event.pointerType === "mouse" && event.button !== 0)
+            return;
+        // we don't want to drag the element when we click on a button inside the handle
+        var target = event.target;
+        if (target && target.closest && target.closest("button, input, select, textarea, a"))
+            return;
+        var handle = this.handle || this.element;
+        var wrapperRect = this.getElementRect(this.wrapper);
+        this.startPosition = { x: wrapperRect.x, y: wrapperRect.y };
+        this.pointerStart = { x: event.clientX, y: event.clientY };
+        this.pointerOffset = {
+            x: wrapperRect.x - event.clientX,
+            y: wrapperRect.y - event.clientY,
+        };
+        this.moved = false;
+        handle.setPointerCapture(event.pointerId);
+        for (var type in this.pointerListeners) {
+            handle.addEventListener(type, this.pointerListeners[type]);
         }
-        return false;
+        this.wrapper.classList.add("dragging");
+        event.preventDefault();
     }
-    else {
-        throw new Error("An error has occured. Cannot get the data from the transfer.");
+    /**
+     * Moves the wrapper while the pointer is moving ("pointer" mode).
+     * @param {PointerEvent} event The event.
+     * @private
+     */
+    pointerMove(event) {
+        if (this.pointerOffset === null)
+            return;
+        // A simple click doesn't start the drag.
+        // The callback may change the position of the wrapper, so we compute the offset again.
+        if (!this.moved) {
+            this.moved = true;
+            this.dragStartCallback(this.pointerStart.x, this.pointerStart.y);
+            var wrapperRect = this.getElementRect(this.wrapper);
+            this.startPosition = { x: wrapperRect.x, y: wrapperRect.y };
+            this.pointerOffset = {
+                x: wrapperRect.x - this.pointerStart.x,
+                y: wrapperRect.y - this.pointerStart.y,
+            };
+        }
+        var position = this.constrain(event.clientX + this.pointerOffset.x, event.clientY + this.pointerOffset.y);
+        this.moveTo(position.x, position.y);
+        this.dragMoveCallback(event.clientX, event.clientY);
     }
-});
-/*
- *
- * WindowStructure
- *
+    /**
+     * Stops the process in "pointer" mode.
+     * @param {PointerEvent} event The event.
+     * @private
+     */
+    pointerUp(event) {
+        if (this.pointerOffset === null)
+            return;
+        var handle = this.handle || this.element;
+        if (handle.hasPointerCapture(event.pointerId)) {
+            handle.releasePointerCapture(event.pointerId);
+        }
+        for (var type in this.pointerListeners) {
+            handle.removeEventListener(type, this.pointerListeners[type]);
+        }
+        this.pointerOffset = null;
+        this.wrapper.classList.remove("dragging");
+        if (this.moved) {
+            this.moved = false;
+            this.dragEndCallback(event.clientX, event.clientY);
+        }
+    }
+}
+/**
+ * The markup of the wrapper, also rendered by `WindowStructure.renderToString()`.
+ * @type {string}
+ * @constant
+ * @public
  */
-class WindowStructure {
+Dragger.WRAPPER_MARKUP = '<div class="tooltip drag" data-window-wrapper="">';
+// init the drag event (not without a DOM, see `renderToString()`)
+if (typeof document !== "undefined") {
+    document.body.addEventListener("dragover", function (event) {
+        event.preventDefault();
+        return false;
+    });
+    document.body.addEventListener("drop", function (event) {
+        event.preventDefault();
+        if (event.dataTransfer) {
+            var dropData = event.dataTransfer.getData("text/plain").split(",");
+            var element = document.getElementById(dropData[0]);
+            if (element) {
+                element.dragger.dragStop(event, parseFloat(dropData[1]), parseFloat(dropData[2]));
+            }
+            else {
+                throw new Error("An error has occured. The element to drag is not defined.");
+            }
+            return false;
+        }
+        else {
+            throw new Error("An error has occured. Cannot get the data from the transfer.");
+        }
+    });
+}
+/**
+ * Makes an element resizable with handles on its four edges & its four corners.
+ * If the element is draggable (see `Dragger`), resizing from the top or the left side also moves the element.
+ * @class
+ */
+class Resizer {
     /**
-     * @constructs WindowStructure
-     * @param {string} title The title of the window.
-     * @param {number} width The width of the window (by default 800).
-     * @param {number} height The height of the window (by default 462).
-     * @param {boolean} draggable Should the window be draggable? True by default.
-     * @param {boolean} resizable Should the window be resizable? True by default.
-     * @param {HTMLElement} parent The parent element in which to put the window once created.
+     * @constructs Resizer
+     * @param {HTMLElement | null} element The element to resize.
+     * @param {{minWidth: number, minHeight: number, maxWidth: number, maxHeight: number, aspectRatio: number}} limits The limits of the size (see `setLimits()`).
      */
-    constructor(title = "Window", width = 800, height = 462, draggable = true, resizable = true, parent = document.body) {
+    constructor(element, limits = {}) {
         /**
-         * The width of the window.
-         * @type {number}
-         * @default 800
-         * @public
+         * The directions of the handles.
+         * @type {Array<string>}
+         * @constant
+         * @private
          */
-        this.width = 800;
+        this.DIRECTIONS = ["n", "e", "s", "w", "ne", "nw", "se", "sw"];
         /**
-         * The height of the window.
-         * @type {number}
-         * @default 462
-         * @public
+         * The handles created inside the element.
+         * @type {Array<HTMLElement>}
+         * @private
          */
-        this.height = 462;
+        this.handles = [];
         /**
-         * The minimum width of the window.
-         * @type {number}
-         * @default 300
-         * @public
+         * False if the resizer has been temporarily disabled.
+         * @type {boolean}
+         * @default true
+         * @private
          */
-        this.minWidth = 300;
+        this.enabled = true;
         /**
-         * The minimum height of the window.
+         * The minimum width of the element.
          * @type {number}
-         * @default 100
-         * @public
-         */
-        this.minHeight = 100;
-        /**
-         * The title of the window.
-         * @type {string}
-         * @default "Window"
+         * @default 0
          * @public
          */
-        this.title = "Window";
+        this.minWidth = 0;
         /**
-         * The window (by default null).
-         * @type {HTMLElement | null}
-         * @default null
+         * The minimum height of the element.
+         * @type {number}
+         * @default 0
          * @public
          */
-        this.window = null;
+        this.minHeight = 0;
         /**
-         * The parent element in which the window is put.
-         * @type {HTMLElement}
-         * @default document.body
+         * The maximum width of the element.
+         * @type {number}
+         * @default Infinity
          * @public
          */
-        this.parent = document.body;
+        this.maxWidth = Infinity;
         /**
-         * True if the window can be draggable.
-         * @type {boolean}
-         * @default true
+         * The maximum height of the element.
+         * @type {number}
+         * @default Infinity
          * @public
          */
-        this.draggable = true;
+        this.maxHeight = Infinity;
         /**
-         * True if the window can be resizable.
-         * @type {boolean}
-         * @default true
+         * The ratio width / height to keep while resizing, or null.
+         * @type {number | null}
+         * @default null
          * @public
          */
-        this.resizable = true;
+        this.aspectRatio = null;
         /**
-         * The status of the window (0 => normal / 1 => min)
-         * @type {number}
-         * @default 0
-         * @public
+         * The state of the element when the resizing started, or null if the element is not being resized.
+         * @private
          */
-        this.status = 0; // 0 => normal / 1 => min
+        this.start = null;
         /**
-         * A function to call every time we minify the window.
-         * @type {Function}
-         * @public
+         * The bound listeners (we need them to remove the listeners).
+         * @private
          */
-        this.minCallback = function () { };
+        this.pointerListeners = {};
         /**
-         * A function to call every time we extend the window.
+         * A function to call when the resizing starts. It receives the width & the height of the element.
          * @type {Function}
          * @public
          */
-        this.extensionCallback = function () { };
+        this.resizeStartCallback = function () { };
         /**
-         * A function to call every time we close the window.
+         * A function to call every time the element is resized. It receives the new width & the new height of the element.
          * @type {Function}
          * @public
          */
-        this.closeCallback = function () { };
+        this.resizeCallback = function () { };
         /**
-         * A function to call every time we kill the window.
+         * A function to call when the resizing ends. It receives the final width & the final height of the element.
          * @type {Function}
          * @public
          */
-        this.killCallback = function () { };
-        /**
-         * Should the window have an absolute position?
-         * @type {boolean}
-         * @default true
-         * @private
-         */
-        this.absolutePosition = true;
-        /**
-         * Options to control the main colors.
-         * @type {{text: string, background: string, menubarBackground: string, menubarColor: string}}
-         * @public
-         */
-        this.colors = {
-            text: "#ccc",
-            background: "#0c0c0c",
-            menubarBackground: "#000",
-            menubarColor: "#fff",
-        };
-        /**
+        this.resizeEndCallback = function () { };
+        if (element === null) {
+            throw new Error("The element does not exist.");
+        }
+        this.element = element;
+        this.setLimits(limits);
+        for (var direction of this.DIRECTIONS) {
+            var handle = document.createElement("div");
+            handle.className = "window-resize-handle window-resize-" + direction;
+            handle.setAttribute("data-direction", direction);
+            // the keyboard shortcuts of the window are the accessible alternative
+            handle.setAttribute("aria-hidden", "true");
+            handle.addEventListener("pointerdown", this.pointerDown.bind(this));
+            this.element.appendChild(handle);
+            this.handles.push(handle);
+        }
+        this.pointerListeners = {
+            pointermove: this.pointerMove.bind(this),
+            pointerup: this.pointerUp.bind(this),
+            pointercancel: this.pointerUp.bind(this),
+        };
+        element.resizer = this;
+    }
+    /**
+     * Defines the limits of the size. Only the specified limits are changed.
+     * @param {{minWidth: number, minHeight: number, maxWidth: number, maxHeight: number, aspectRatio: number}} limits
+     * The minimum & maximum sizes (in px) & the ratio width / height to keep (null to resize freely).
+     * @public
+     */
+    setLimits(limits) {
+        if (limits.minWidth !== undefined)
+            this.minWidth = limits.minWidth;
+        if (limits.minHeight !== undefined)
+            this.minHeight = limits.minHeight;
+        if (limits.maxWidth !== undefined)
+            this.maxWidth = limits.maxWidth;
+        if (limits.maxHeight !== undefined)
+            this.maxHeight = limits.maxHeight;
+        if (limits.aspectRatio !== undefined)
+            this.aspectRatio = limits.aspectRatio;
+    }
+    /**
+     * Enables the resizer (after `disable()`). The handles are displayed.
+     * @public
+     */
+    enable() {
+        this.enabled = true;
+        for (var handle of this.handles) {
+            handle.style.display = "";
+        }
+    }
+    /**
+     * Temporarily disables the resizer. The handles are hidden.
+     * @public
+     */
+    disable() {
+        this.enabled = false;
+        for (var handle of this.handles) {
+            handle.style.display = "none";
+        }
+    }
+    /**
+     * Returns true if the resizer is enabled.
+     * @returns {boolean} True if the element can be resized.
+     * @public
+     */
+    isEnabled() {
+        return this.enabled;
+    }
+    /**
+     * Defines the function to call when the resizing starts.
+     * @param {Function} callback The function to call. It receives the width & the height of the element.
+     * @public
+     */
+    onResizeStart(callback) {
+        this.resizeStartCallback = callback;
+    }
+    /**
+     * Defines the function to call every time the element is resized.
+     * @param {Function} callback The function to call. It receives the new width & the new height of the element.
+     * @public
+     */
+    onResize(callback) {
+        this.resizeCallback = callback;
+    }
+    /**
+     * Defines the function to call when the resizing ends.
+     * @param {Function} callback The function to call. It receives the final width & the final height of the element.
+     * @public
+     */
+    onResizeEnd(callback) {
+        this.resizeEndCallback = callback;
+    }
+    /**
+     * Keeps a value between a minimum & a maximum.
+     * @param {number} value The value.
+     * @param {number} min The minimum.
+     * @param {number} max The maximum.
+     * @returns {number} The clamped value.
+     * @private
+     */
+    clamp(value, min, max) {
+        return Math.max(min, Math.min(value, max));
+    }
+    /**
+     * Applies the limits (minimum & maximum sizes, aspect ratio) to a new size.
+     * @param {number} width The new width.
+     * @param {number} height The new height.
+     * @param {string} direction The direction of the resizing ("n", "e", "s", "w", "ne", "nw", "se" or "sw").
+     * @returns {{width: number, height: number}} The limited size.
+     * @private
+     */
+    limit(width, height, direction) {
+        width = this.clamp(width, this.minWidth, this.maxWidth);
+        height = this.clamp(height, this.minHeight, this.maxHeight);
+        if (this.aspectRatio) {
+            // the widths allowed by the limits of both axes
+            var minWidth = Math.max(this.minWidth, this.minHeight * this.aspectRatio);
+            var maxWidth = Math.min(this.maxWidth, this.maxHeight * this.aspectRatio);
+            // with the top & bottom handles, the height leads
+            width = this.clamp(direction === "n" || direction === "s" ? height * this.aspectRatio : width, minWidth, maxWidth);
+            height = width / this.aspectRatio;
+        }
+        return { width: width, height: height };
+    }
+    /**
+     * Resizes the element from its bottom right corner (the position doesn't change), with the limits.
+     * The three callbacks are called, like a resizing with the handles.
+     * @param {number} dw The variation of the width (in px).
+     * @param {number} dh The variation of the height (in px).
+     * @public
+     */
+    resizeBy(dw, dh) {
+        if (!this.enabled || this.start !== null)
+            return;
+        var style = window.getComputedStyle(this.element, null);
+        var width = parseFloat(style.width) || this.element.offsetWidth;
+        var height = parseFloat(style.height) || this.element.offsetHeight;
+        this.resizeStartCallback(width, height);
+        var size = this.limit(width + dw, height + dh, dw === 0 ? "s" : "e");
+        this.element.style.width = size.width + "px";
+        this.element.style.height = size.height + "px";
+        this.resizeCallback(size.width, size.height);
+        this.resizeEndCallback(size.width, size.height);
+    }
+    /**
+     * Starts the resizing.
+     * @param {PointerEvent} event The event.
+     * @private
+     */
+    pointerDown(event) {
+        if (!this.enabled || this.start !== null)
+            return;
+        if (event.pointerType === "mouse" && event.button !== 0)
+            return;
+        var handle = event.currentTarget;
+        var style = window.getComputedStyle(this.element, null);
+        var position = this.element.dragger
+            ? this.element.dragger.getPosition()
+            : { x: parseFloat(style.left) || 0, y: parseFloat(style.top) || 0 };
+        // without a dragger, the top & left handles move the element with `left` & `top`
+        if (!this.element.dragger && style.position === "static") {
+            this.element.style.position = "relative";
+        }
+        var width = parseFloat(style.width) || this.element.offsetWidth;
+        var height = parseFloat(style.height) || this.element.offsetHeight;
+        this.start = {
+            direction: handle.getAttribute("data-direction") || "se",
+            pointerX: event.clientX,
+            pointerY: event.clientY,
+            width: width,
+            height: height,
+            x: position.x,
+            y: position.y,
+            currentWidth: width,
+            currentHeight: height,
+        };
+        handle.setPointerCapture(event.pointerId);
+        for (var type in this.pointerListeners) {
+            handle.addEventListener(type, this.pointerListeners[type]);
+        }
+        event.preventDefault();
+        this.element.classList.add("resizing");
+        this.resizeStartCallback(this.start.width, this.start.height);
+    }
+    /**
+     * Resizes the element while the pointer is moving.
+     * @param {PointerEvent} event The event.
+     * @private
+     */
+    pointerMove(event) {
+        if (this.start === null)
+            return;
+        var direction = this.start.direction;
+        var dx = event.clientX - this.start.pointerX;
+        var dy = event.clientY - this.start.pointerY;
+        var width = this.start.width;
+        var height = this.start.height;
+        if (direction.indexOf("e") !== -1)
+            width += dx;
+        if (direction.indexOf("w") !== -1)
+            width -= dx;
+        if (direction.indexOf("s") !== -1)
+            height += dy;
+        if (direction.indexOf("n") !== -1)
+            height -= dy;
+        var size = this.limit(width, height, direction);
+        width = size.width;
+        height = size.height;
+        this.element.style.width = width + "px";
+        this.element.style.height = height + "px";
+        this.start.currentWidth = width;
+        this.start.currentHeight = height;
+        // resizing from the top or the left side moves the element
+        if (direction.indexOf("n") !== -1 || direction.indexOf("w") !== -1) {
+            var x = direction.indexOf("w") !== -1 ? this.start.x + this.start.width - width : this.start.x;
+            var y = direction.indexOf("n") !== -1 ? this.start.y + this.start.height - height : this.start.y;
+            if (this.element.dragger) {
+                this.element.dragger.moveTo(x, y);
+            }
+            else {
+                this.element.style.left = x + "px";
+                this.element.style.top = y + "px";
+            }
+        }
+        this.resizeCallback(width, height);
+    }
+    /**
+     * Stops the resizing.
+     * @param {PointerEvent} event The event.
+     * @private
+     */
+    pointerUp(event) {
+        if (this.start === null)
+            return;
+        var handle = event.currentTarget;
+        if (handle.hasPointerCapture(event.pointerId)) {
+            handle.releasePointerCapture(event.pointerId);
+        }
+        for (var type in this.pointerListeners) {
+            handle.removeEventListener(type, this.pointerListeners[type]);
+        }
+        var width = this.start.currentWidth;
+        var height = this.start.currentHeight;
+        this.start = null;
+        this.element.classList.remove("resizing");
+        this.resizeEndCallback(width, height);
+    }
+}
+class WindowStructure {
+    /**
+     * @constructs WindowStructure
+     * @param {string | WindowOptions} title The title of the window, or an object with all the options of the window
+     * (in this case, the other arguments are ignored). See `WindowOptions` & the README for the list of the options.
+     * @param {number} width The width of the window (by default 800).
+     * @param {number} height The height of the window (by default 462).
+     * @param {boolean} draggable Should the window be draggable? True by default.
+     * @param {boolean} resizable Should the window be resizable? True by default.
+     * @param {HTMLElement} parent The parent element in which to put the window once created (by default the body
+     * of the document).
+     */
+    constructor(title = "Window", width = 800, height = 462, draggable = true, resizable = true, parent = (typeof document !== "undefined" ? document.body : null)) {
+        /**
+         * The width of the window.
+         * @type {number}
+         * @default 800
+         * @public
+         */
+        this.width = 800;
+        /**
+         * The height of the window.
+         * @type {number}
+         * @default 462
+         * @public
+         */
+        this.height = 462;
+        /**
+         * The minimum width of the window.
+         * @type {number}
+         * @default 300
+         * @public
+         */
+        this.minWidth = 300;
+        /**
+         * The minimum height of the window.
+         * @type {number}
+         * @default 100
+         * @public
+         */
+        this.minHeight = 100;
+        /**
+         * The maximum width of the window.
+         * @type {number}
+         * @default Infinity
+         * @public
+         */
+        this.maxWidth = Infinity;
+        /**
+         * The maximum height of the window.
+         * @type {number}
+         * @default Infinity
+         * @public
+         */
+        this.maxHeight = Infinity;
+        /**
+         * The ratio width / height to keep while resizing the window, or null.
+         * @type {number | null}
+         * @default null
+         * @public
+         */
+        this.aspectRatio = null;
+        /**
+         * The title of the window.
+         * @type {string}
+         * @default "Window"
+         * @public
+         */
+        this.title = "Window";
+        /**
+         * An identifier chosen by the user in order to save & restore the layout of the windows.
+         * @type {string | null}
+         * @default null
+         * @public
+         */
+        this.id = null;
+        /**
+         * The window (by default null).
+         * @type {HTMLElement | null}
+         * @default null
+         * @public
+         */
+        this.window = null;
+        /**
+         * The parent element in which the window is put (null without a DOM).
+         * @type {HTMLElement}
+         * @default document.body
+         * @public
+         */
+        this.parent = (typeof document !== "undefined" ? document.body : null);
+        /**
+         * True if the window can be draggable.
+         * @type {boolean}
+         * @default true
+         * @public
+         */
+        this.draggable = true;
+        /**
+         * True if the window can be resizable.
+         * @type {boolean}
+         * @default true
+         * @public
+         */
+        this.resizable = true;
+        /**
+         * True if the window can be maximized.
+         * @type {boolean}
+         * @default true
+         * @public
+         */
+        this.maximizable = true;
+        /**
+         * The drag mode of the window: "pointer" (the window follows the pointer, from the menu bar only) or "native" (HTML5 drag and drop).
+         * @type {string}
+         * @default "pointer"
+         * @public
+         */
+        this.dragMode = "pointer";
+        /**
+         * The area in which the window has to stay while dragging: "parent", "viewport", an HTML element,
+         * a rect `{x, y, width, height}` relative to the viewport, or null (no containment).
+         * @type {string | HTMLElement | {x: number, y: number, width: number, height: number} | null}
+         * @default null
+         * @public
+         */
+        this.containment = null;
+        /**
+         * Locks the movement of the window to an axis ("x" or "y") while dragging, or null.
+         * @type {string | null}
+         * @default null
+         * @public
+         */
+        this.dragAxis = null;
+        /**
+         * The size of the cells of the grid on which the position of the window is snapped while dragging (a number or `[x, y]`), or null.
+         * @type {number | Array<number> | null}
+         * @default null
+         * @public
+         */
+        this.grid = null;
+        /**
+         * True if the window is tiled when it is dropped against an edge or a corner of its parent element.
+         * @type {boolean}
+         * @default false
+         * @public
+         */
+        this.snapping = false;
+        /**
+         * The distance (in px) from an edge of the parent element from which the window is tiled.
+         * @type {number}
+         * @default 20
+         * @public
+         */
+        this.snapThreshold = 20;
+        /**
+         * The zone in which the window is tiled ("left", "right", "top", "top-left", "top-right", "bottom-left", "bottom-right"), or null.
+         * @type {string | null}
+         * @default null
+         * @public
+         */
+        this.snapZone = null;
+        /**
+         * The translucent preview of the target area while dragging.
+         * @type {HTMLElement | null}
+         * @default null
+         * @private
+         */
+        this.snapPreview = null;
+        /**
+         * Should the focus stay inside the window when the user presses Tab?
+         * @type {boolean}
+         * @default false
+         * @public
+         */
+        this.focusTrap = false;
+        /**
+         * Should Escape close the window? Escape in a field of the window never closes it.
+         * @type {boolean}
+         * @default false
+         * @public
+         */
+        this.closeOnEscape = false;
+        /**
+         * Are the keyboard shortcuts enabled? Alt + arrows move the window, Alt + Shift + arrows resize it,
+         * Alt + PageUp maximizes or restores it & Alt + PageDown minimizes or restores it.
+         * @type {boolean}
+         * @default true
+         * @public
+         */
+        this.keyboardShortcuts = true;
+        /**
+         * The distance (in px) by which the keyboard shortcuts move or resize the window.
+         * @type {number}
+         * @default 10
+         * @public
+         */
+        this.keyboardStep = 10;
+        /**
+         * The status of the window (0 => normal / 1 => min / 2 => max)
+         * @type {number}
+         * @default 0
+         * @public
+         */
+        this.status = 0; // 0 => normal / 1 => min / 2 => max
+        /**
+         * The position, the size & the tiling of the window before `maximize()`, in order to restore them.
+         * @type {{x: number, y: number, width: string, height: string, snapZone: string | null} | null}
+         * @default null
+         * @private
+         */
+        this.restoreBounds = null;
+        /**
+         * The position & the tiling of the window before `minify()` moved it to a corner, for `serialize()`.
+         * @type {{x: number, y: number, snapZone: string | null} | null}
+         * @default null
+         * @private
+         */
+        this.minimizedBounds = null;
+        /**
+         * The listener of the "resize" event of the viewport (we need it to remove the listener in `kill()`).
+         * @type {Function | null}
+         * @default null
+         * @private
+         */
+        this.viewportResizeListener = null;
+        /**
+         * True if the window has been minimized in the taskbar of its manager (instead of being shrunk in a corner).
+         * @type {boolean}
+         * @default false
+         * @private
+         */
+        this.minimizedInTaskbar = false;
+        /**
+         * Is the window modal? A modal window is displayed above a backdrop that blocks the other windows.
+         * It stays centered & on top of the other windows.
+         * @type {boolean}
+         * @default false
+         * @public
+         */
+        this.modal = false;
+        /**
+         * The backdrop of the modal window.
+         * @type {HTMLElement | null}
+         * @default null
+         * @private
+         */
+        this.backdrop = null;
+        /**
+         * The element that had the focus before the modal window was displayed.
+         * @type {HTMLElement | null}
+         * @default null
+         * @private
+         */
+        this.returnFocusTo = null;
+        /**
+         * The owner of the window. A child window is minimized, closed & killed with its owner, and stays above it.
+         * @type {WindowStructure | null}
+         * @default null
+         * @public
+         */
+        this.owner = null;
+        /**
+         * The child windows (the windows owned by this one).
+         * @type {Array<WindowStructure>}
+         * @private
+         */
+        this.children = [];
+        /**
+         * True if the window has been minimized because its owner has been minimized.
+         * @type {boolean}
+         * @default false
+         * @private
+         */
+        this.minimizedWithOwner = false;
+        /**
+         * True if the window has been closed because its owner has been closed.
+         * @type {boolean}
+         * @default false
+         * @private
+         */
+        this.closedWithOwner = false;
+        /**
+         * True once the window has been killed.
+         * @type {boolean}
+         * @default false
+         * @private
+         */
+        this.killed = false;
+        /**
+         * True while the window is fading out after `close()` (it is not closed yet).
+         * @type {boolean}
+         * @default false
+         * @private
+         */
+        this.closing = false;
+        /**
+         * The names of the events that can be listened with `on()`.
+         * The "before" events are cancellable: if a listener returns `false` (or a Promise resolved with `false`), the action is cancelled.
+         * @type {Array<string>}
+         * @constant
+         * @private
+         */
+        this.EVENT_NAMES = [
+            "minify",
+            "extend",
+            "maximize",
+            "restore",
+            "close",
+            "reappear",
+            "kill",
+            "move",
+            "resizeStart",
+            "resize",
+            "resizeEnd",
+            "focus",
+            "blur",
+            "titleChange",
+            "fullscreen",
+            "menuSelect",
+            "tabAdd",
+            "tabRemove",
+            "tabActivate",
+            "tabMove",
+            "tabDetach",
+            "contentReady",
+            "contentError",
+            "beforeMinify",
+            "beforeClose",
+            "beforeKill",
+            "beforeTabClose",
+        ];
+        /**
+         * The listeners of the events, by event name.
+         * @private
+         */
+        this.listeners = {};
+        /**
+         * The listeners added with `minCallback`, `extensionCallback`, `closeCallback` & `killCallback`, by event name.
+         * @private
+         */
+        this.callbackAliases = {};
+        /**
+         * Should the window have an absolute position?
+         * @type {boolean}
+         * @default true
+         * @private
+         */
+        this.absolutePosition = true;
+        /**
+         * The theme of the window: the name of a preset ("classic", "light", "dark", "high-contrast" or "auto"),
+         * a custom theme or null to inherit the theme of the page ("classic" by default).
+         * @type {string | WindowTheme | null}
+         * @default null
+         * @public
+         */
+        this.theme = null;
+        /**
+         * The names of the preset themes. "auto" follows `prefers-color-scheme` ("light" or "dark").
+         * @type {Array<string>}
+         * @constant
+         * @private
+         */
+        this.THEME_NAMES = ["classic", "light", "dark", "high-contrast", "auto"];
+        /**
+         * The CSS custom properties of a theme, by property of `WindowTheme`.
+         * @constant
+         * @private
+         */
+        this.THEME_PROPERTIES = {
+            text: "--window-text",
+            background: "--window-background",
+            menubarBackground: "--window-bar-background",
+            menubarColor: "--window-bar-text",
+            buttonColor: "--window-button-text",
+            buttonHover: "--window-button-hover",
+            closeButtonHover: "--window-close-hover",
+            border: "--window-border",
+            radius: "--window-radius",
+            shadow: "--window-shadow",
+            fontFamily: "--window-font-family",
+            fontSize: "--window-font-size",
+            titleFontSize: "--window-title-font-size",
+            barHeight: "--window-bar-height",
+        };
+        /**
+         * Options to override the main colors of the theme (use `applyStyles()` once the window is built).
+         * @type {{text: string, background: string, menubarBackground: string, menubarColor: string}}
+         * @default {}
+         * @public
+         */
+        this.colors = {};
+        /**
          * Options to control the default minimization of the window.
          * @type {{xSide: string, ySide: string, posFromX: number, posFromY: number}}
          * @public
          */
-        this.minimizationOptions = {
-            xSide: "left",
-            ySide: "bottom",
-            posFromX: 20,
-            posFromY: 20,
-        };
+        this.minimizationOptions = {
+            xSide: "left",
+            ySide: "bottom",
+            posFromX: 20,
+            posFromY: 20,
+        };
+        /**
+         * True if the window is in fullscreen.
+         * @type {boolean}
+         * @default false
+         * @public
+         */
+        this.isFullscreen = false;
+        /**
+         * The manager that handles the stacking order & the focus of the window.
+         * @type {WindowManager | null}
+         * @default WindowManager.defaultManager
+         * @public
+         */
+        this.manager = WindowManager.defaultManager;
+        /**
+         * The buttons of the menu bar, from left to right.
+         * @type {Array<TitleBarButton>}
+         * @private
+         */
+        this.buttons = [];
+        /**
+         * The names of the default buttons, by index (see `enableButton()`).
+         * @type {Array<string>}
+         * @constant
+         * @private
+         */
+        this.DEFAULT_BUTTONS = ["minimize", "maximize", "close"];
+        /**
+         * An instance of HTMLBuilder.
+         * {@link https://github.com/CodoPixel/HTMLBuilder}
+         * @type {HTMLBuilder}
+         * @protected
+         */
+        this.builder = new HTMLBuilder();
+        /**
+         * The menus of the menu bar (under the title bar), or null if the window doesn't have a menu bar.
+         * @type {Array<MenuItem> | null}
+         * @default null
+         * @public
+         */
+        this.menu = null;
+        /**
+         * The menus that are open, from the menu of the menu bar to the deepest submenu.
+         * @type {Array<HTMLElement>}
+         * @private
+         */
+        this.openMenus = [];
+        /**
+         * The instance of HTMLBuilder that renders the menu bar.
+         * @type {HTMLBuilder}
+         * @protected
+         */
+        this.menuBuilder = new HTMLBuilder();
+        /**
+         * The tabs of the window, from left to right.
+         * @private
+         */
+        this.tabs = [];
+        /**
+         * The id of the active tab.
+         * @type {string | null}
+         * @default null
+         * @private
+         */
+        this.activeTab = null;
+        /**
+         * The number of tabs created in this window (in order to generate unique ids).
+         * @type {number}
+         * @default 0
+         * @private
+         */
+        this.tabCount = 0;
+        /**
+         * The tab that the user is dragging.
+         * @private
+         */
+        this.tabDrag = null;
+        /**
+         * Should the title bar display the tabs? Otherwise, it displays the title of the active tab.
+         * @type {boolean}
+         * @default true
+         * @public
+         */
+        this.tabStrip = true;
+        /**
+         * The source of the content of the body (see `setContent()`).
+         * @type {ContentSource | null}
+         * @default null
+         * @public
+         */
+        this.contentSource = null;
+        /**
+         * The number of times the content has been loaded. A response is ignored if a newer request has been made.
+         * @type {number}
+         * @default 0
+         * @private
+         */
+        this.contentRequest = 0;
+        /**
+         * Should the window be animated when it is minimized, extended, closed, reappears, maximized or restored?
+         * The animations are always disabled if the user prefers reduced motion (`prefers-reduced-motion`).
+         * @type {boolean}
+         * @default false
+         * @public
+         */
+        this.animations = false;
+        /**
+         * The duration of the animations (in ms).
+         * @type {number}
+         * @default 200
+         * @public
+         */
+        this.animationDuration = 200;
+        /**
+         * The easing of the animations (a CSS timing function).
+         * @type {string}
+         * @default "ease"
+         * @public
+         */
+        this.animationEasing = "ease";
+        /**
+         * The animation being played on the window.
+         * @type {Animation | null}
+         * @default null
+         * @private
+         */
+        this.animation = null;
+        /**
+         * The keyframes of the window being closed (reversed when it reappears).
+         * @type {Array<Keyframe>}
+         * @private
+         */
+        this.CLOSE_KEYFRAMES = [
+            { opacity: 1, transform: "none" },
+            { opacity: 0, transform: "scale(0.9)" },
+        ];
+        /**
+         * The position given to the constructor, applied by `build()`.
+         * @private
+         */
+        this.initialPosition = null;
+        /**
+         * The window ID. This ID is unique and thanks to it, we can create several windows without conflict.
+         * @type {string}
+         * @protected
+         */
+        this.key = "";
+        this._genKey();
+        var options = null;
+        if (typeof title === "object" && title !== null) {
+            options = title;
+            title = "Window";
+        }
+        this.title = title.trim();
+        this.width = width;
+        this.height = height;
+        this.draggable = draggable;
+        this.resizable = resizable;
+        this.parent = parent;
+        var self = this;
+        this.buttons = [
+            {
+                name: "minimize",
+                icon: "\u2013",
+                title: "Minimize",
+                onClick: function () {
+                    self._runUserAction(self.minify());
+                },
+            },
+            {
+                name: "maximize",
+                icon: "\u25A1",
+                title: "Maximize",
+                toggledIcon: "\u2750",
+                toggledTitle: "Restore",
+                onClick: function () {
+                    self._runUserAction(self._maximizeOrRestore());
+                },
+            },
+            {
+                name: "close",
+                icon: "\u00D7",
+                title: "Close",
+                onClick: function () {
+                    self._runUserAction(self.close());
+                },
+            },
+        ];
+        // the events available in the templates of the body: `button@minify`, `button@extend` & `button@close`
+        this.builder.bindEvent({
+            name: "minify",
+            type: "click",
+            callback: function (e) {
+                self._runUserAction(self.minify());
+            },
+        });
+        this.builder.bindEvent({
+            name: "extend",
+            type: "click",
+            callback: function (e) {
+                self._runUserAction(self.extend());
+            },
+        });
+        this.builder.bindEvent({
+            name: "close",
+            type: "click",
+            callback: function (e) {
+                self._runUserAction(self.close());
+            },
+        });
+        this.menuBuilder.bindEvent({
+            name: "menuTitle",
+            type: "click",
+            callback: function (e) {
+                self._onMenuClick(e);
+            },
+        });
+        this.menuBuilder.bindEvent({
+            name: "menuItem",
+            type: "click",
+            callback: function (e) {
+                self._onMenuClick(e);
+            },
+        });
+        if (options !== null) {
+            this._setOptions(options);
+        }
+    }
+    /**
+     * A function to call every time we minify the window.
+     * @type {Function}
+     * @deprecated Use `on("minify", callback)`. Assigning a function replaces the one previously assigned this way,
+     * not the other listeners.
+     * @public
+     */
+    get minCallback() {
+        return this._getCallbackAlias("minify");
+    }
+    set minCallback(callback) {
+        this._setCallbackAlias("minify", callback);
+    }
+    /**
+     * A function to call every time we extend the window.
+     * @type {Function}
+     * @deprecated Use `on("extend", callback)`.
+     * @public
+     */
+    get extensionCallback() {
+        return this._getCallbackAlias("extend");
+    }
+    set extensionCallback(callback) {
+        this._setCallbackAlias("extend", callback);
+    }
+    /**
+     * A function to call every time we close the window.
+     * @type {Function}
+     * @deprecated Use `on("close", callback)`.
+     * @public
+     */
+    get closeCallback() {
+        return this._getCallbackAlias("close");
+    }
+    set closeCallback(callback) {
+        this._setCallbackAlias("close", callback);
+    }
+    /**
+     * A function to call every time we kill the window.
+     * @type {Function}
+     * @deprecated Use `on("kill", callback)`.
+     * @public
+     */
+    get killCallback() {
+        return this._getCallbackAlias("kill");
+    }
+    set killCallback(callback) {
+        this._setCallbackAlias("kill", callback);
+    }
+    /**
+     * Generates the random ID of the window.
+     * @private
+     */
+    _genKey() {
+        var generatedKey = "windowkey-";
+        for (var i = 0; i < 6; i++) {
+            var min = Math.ceil(0);
+            var max = Math.floor(10);
+            var random = Math.floor(Math.random() * (max - min)) + min;
+            generatedKey += random;
+        }
+        this.key = generatedKey;
+    }
+    /**
+     * Throws an error if the value of an option of the constructor doesn't have the right type.
+     * @param {string} option The name of the option.
+     * @param {any} value The value of the option.
+     * @private
+     * @static
+     */
+    static _checkOption(option, value) {
+        var type = WindowStructure.OPTION_TYPES[option];
+        if (type === undefined) {
+            throw new Error('WindowStructure(options): unknown option "' + option + '".');
+        }
+        var nullable = type.charAt(type.length - 1) === "?";
+        if (nullable)
+            type = type.slice(0, -1);
+        if (nullable && value === null)
+            return;
+        var descriptions = {
+            size: "a positive number",
+            number: "a number",
+            boolean: "a boolean",
+            string: "a string",
+            element: "an HTML element",
+            grid: "a positive number or an array of two positive numbers",
+            window: "a WindowStructure",
+            manager: "a WindowManager",
+            object: "an object",
+            array: "an array",
+        };
+        var valid = true;
+        if (type === "size")
+            valid = typeof value === "number" && value > 0;
+        else if (type === "number")
+            valid = typeof value === "number" && isFinite(value);
+        else if (type === "element")
+            valid = value instanceof HTMLElement;
+        else if (type === "grid") {
+            var cells = Array.isArray(value) ? value : [value, value];
+            valid =
+                cells.length === 2 &&
+                    cells.every(function (cell) {
+                        return typeof cell === "number" && cell > 0;
+                    });
+        }
+        else if (type === "window")
+            valid = value instanceof WindowStructure;
+        else if (type === "manager")
+            valid = value instanceof WindowManager;
+        else if (type === "object")
+            valid = typeof value === "object" && value !== null && !Array.isArray(value);
+        else if (type === "array")
+            valid = Array.isArray(value);
+        else if (type !== "any")
+            valid = typeof value === type;
+        if (!valid) {
+            throw new Error('WindowStructure(options): "' +
+                option +
+                '" must be ' +
+                descriptions[type] +
+                (nullable ? " or null." : "."));
+        }
+    }
+    /**
+     * Applies the options given to the constructor.
+     * @param {WindowOptions} options The options.
+     * @private
+     */
+    _setOptions(options) {
+        for (var option in options) {
+            var value = options[option];
+            if (value !== undefined)
+                WindowStructure._checkOption(option, value);
+        }
+        if (options.title !== undefined)
+            this.title = options.title.trim();
+        if (options.id !== undefined)
+            this.setId(options.id);
+        if (options.width !== undefined)
+            this.width = options.width;
+        if (options.height !== undefined)
+            this.height = options.height;
+        if (options.minWidth !== undefined)
+            this.minWidth = options.minWidth;
+        if (options.minHeight !== undefined)
+            this.minHeight = options.minHeight;
+        if (options.maxWidth !== undefined)
+            this.maxWidth = options.maxWidth;
+        if (options.maxHeight !== undefined)
+            this.maxHeight = options.maxHeight;
+        if (this.minWidth > this.maxWidth || this.minHeight > this.maxHeight) {
+            throw new Error("WindowStructure(options): the minimum size must not exceed the maximum size.");
+        }
+        if (options.aspectRatio !== undefined)
+            this.setAspectRatio(options.aspectRatio);
+        if ((options.x === undefined) !== (options.y === undefined)) {
+            throw new Error('WindowStructure(options): "x" & "y" must be given together.');
+        }
+        if (options.center && options.x !== undefined) {
+            throw new Error('WindowStructure(options): "center" cannot be used with "x" & "y".');
+        }
+        if (options.x !== undefined && options.y !== undefined)
+            this.initialPosition = { x: options.x, y: options.y };
+        if (options.center)
+            this.initialPosition = "center";
+        if (options.parent !== undefined)
+            this.setParent(options.parent);
+        if (options.draggable !== undefined)
+            this.draggable = options.draggable;
+        if (options.resizable !== undefined)
+            this.resizable = options.resizable;
+        if (options.maximizable !== undefined)
+            this.setMaximizable(options.maximizable);
+        if (options.dragMode !== undefined)
+            this.setDragMode(options.dragMode);
+        if (options.containment !== undefined)
+            this.setContainment(options.containment);
+        if (options.dragAxis !== undefined)
+            this.setDragAxis(options.dragAxis);
+        if (options.grid !== undefined)
+            this.setGrid(options.grid);
+        if (options.snapping !== undefined)
+            this.setSnapping(options.snapping);
+        if (options.snapThreshold !== undefined)
+            this.setSnapping(this.snapping, options.snapThreshold);
+        if (options.focusTrap !== undefined)
+            this.setFocusTrap(options.focusTrap);
+        if (options.closeOnEscape !== undefined)
+            this.setCloseOnEscape(options.closeOnEscape);
+        if (options.keyboardShortcuts !== undefined)
+            this.setKeyboardShortcuts(options.keyboardShortcuts);
+        if (options.keyboardStep !== undefined)
+            this.setKeyboardShortcuts(this.keyboardShortcuts, options.keyboardStep);
+        if (options.manager !== undefined)
+            this.setManager(options.manager);
+        if (options.owner !== undefined)
+            this.setOwner(options.owner);
+        if (options.modal !== undefined)
+            this.setModal(options.modal);
+        if (options.theme !== undefined)
+            this.setTheme(options.theme);
+        if (options.colors !== undefined)
+            this.colors = options.colors;
+        if (options.minimizationOptions !== undefined) {
+            var minimization = options.minimizationOptions;
+            if (minimization.xSide !== undefined && minimization.xSide !== "left" && minimization.xSide !== "right") {
+                throw new Error('WindowStructure(options): "minimizationOptions.xSide" must be "left" or "right".');
+            }
+            if (minimization.ySide !== undefined && minimization.ySide !== "top" && minimization.ySide !== "bottom") {
+                throw new Error('WindowStructure(options): "minimizationOptions.ySide" must be "top" or "bottom".');
+            }
+            for (var side of ["posFromX", "posFromY"]) {
+                var position = minimization[side];
+                if (position !== undefined && (typeof position !== "number" || !isFinite(position))) {
+                    throw new Error('WindowStructure(options): "minimizationOptions.' + side + '" must be a number.');
+                }
+            }
+            this.minimizationOptions = {
+                xSide: minimization.xSide !== undefined ? minimization.xSide : this.minimizationOptions.xSide,
+                ySide: minimization.ySide !== undefined ? minimization.ySide : this.minimizationOptions.ySide,
+                posFromX: minimization.posFromX !== undefined ? minimization.posFromX : this.minimizationOptions.posFromX,
+                posFromY: minimization.posFromY !== undefined ? minimization.posFromY : this.minimizationOptions.posFromY,
+            };
+        }
+        if (options.buttons !== undefined) {
+            // the custom buttons are placed before the default buttons, in the given order
+            for (var i = 0; i < options.buttons.length; i++) {
+                this.addButton(options.buttons[i], i);
+            }
+        }
+        if (options.menu !== undefined)
+            this.setMenu(options.menu);
+        if (options.tabStrip !== undefined)
+            this.setTabStrip(options.tabStrip);
+        if (options.tabs !== undefined) {
+            for (var tab of options.tabs) {
+                this.addTab(tab);
+            }
+        }
+        if (options.content !== undefined)
+            this.setContent(options.content);
+        if (options.animations !== undefined ||
+            options.animationDuration !== undefined ||
+            options.animationEasing !== undefined) {
+            this.setAnimations(options.animations !== undefined ? options.animations : this.animations, options.animationDuration, options.animationEasing);
+        }
+    }
+    /**
+     * Disables the absolute position of the window.
+     * This action deactivates the "minimize" & "maximize" buttons in the menu bar.
+     */
+    _disableAbsolutePosition() {
+        this.absolutePosition = false;
+        if (this.window) {
+            this.disableButton("minimize");
+            this.disableButton("maximize");
+        }
+    }
+    /**
+     * Enables the absolute position of the window.
+     * This function enables the "minimize" & "maximize" buttons in the menu bar.
+     */
+    _enableAbsolutePosition() {
+        this.absolutePosition = true;
+        if (this.window) {
+            if (!this.modal)
+                this.enableButton("minimize");
+            if (this.maximizable)
+                this.enableButton("maximize");
+        }
+    }
+    /**
+     * Gets the options of a button of the menu bar.
+     * @param {string | number} button The name of the button, or the index of a default button
+     * (0 for "minimize", 1 for "maximize" & 2 for "close").
+     * @param {string} method The name of the method, for the error message.
+     * @returns {TitleBarButton} The options of the button.
+     * @private
+     */
+    _getButtonOptions(button, method) {
+        var name = typeof button === "number" ? this.DEFAULT_BUTTONS[button] : button;
+        for (var options of this.buttons) {
+            if (options.name === name)
+                return options;
+        }
+        if (typeof button === "number") {
+            throw new Error(method + "(index): the index is not good (0, 1 or 2 for minimize, maximize & close).");
+        }
+        throw new Error(method + '(name): the button "' + button + '" does not exist.');
+    }
+    /**
+     * Gets a button of the menu bar.
+     * @param {string} name The name of the button ("minimize", "maximize", "close" or the name of a custom button).
+     * @returns {HTMLButtonElement | null} The button or null if it doesn't exist (or if the window is not built).
+     */
+    getButton(name) {
+        if (!this.window)
+            return null;
+        var container = this.window.querySelector(".window-main-buttons");
+        for (var i = 0; i < container.children.length; i++) {
+            if (container.children[i].getAttribute("data-button") === name) {
+                return container.children[i];
+            }
+        }
+        return null;
+    }
+    /**
+     * Gets the names of the buttons of the menu bar, from left to right.
+     * @returns {Array<string>} The names of the buttons (the hidden buttons included).
+     */
+    getButtonNames() {
+        return this.buttons.map(function (options) {
+            return options.name;
+        });
+    }
+    /**
+     * Adds a custom button in the menu bar.
+     * @param {TitleBarButton} button The options of the button: `name` (required & unique), `icon` (a text or an element),
+     * `title` (the tooltip & the accessible name), `toggledIcon` & `toggledTitle` (used instead of the icon & the title
+     * when the button is toggled, see `setButtonToggled()`), `visible`, `disabled` & `onClick(structure, event)`.
+     * @param {number} index The position of the button, from left to right (by default 0).
+     */
+    addButton(button, index = 0) {
+        if (!button.name || !/^[\w-]+$/.test(button.name)) {
+            throw new Error("addButton(button): the name of the button must contain only letters, digits, - & _.");
+        }
+        if (this.getButtonNames().indexOf(button.name) !== -1) {
+            throw new Error('addButton(button): the button "' + button.name + '" already exists.');
+        }
+        var options = { name: button.name };
+        for (var property in button) {
+            options[property] = button[property];
+        }
+        this.buttons.splice(Math.max(0, Math.min(index, this.buttons.length)), 0, options);
+        this._renderButtons();
+    }
+    /**
+     * Removes a custom button from the menu bar. The default buttons can only be hidden (see `hideButton()`).
+     * @param {string} name The name of the button.
+     */
+    removeButton(name) {
+        if (this.DEFAULT_BUTTONS.indexOf(name) !== -1) {
+            throw new Error('removeButton(name): the button "' + name + '" cannot be removed, use hideButton() instead.');
+        }
+        var options = this._getButtonOptions(name, "removeButton");
+        this.buttons.splice(this.buttons.indexOf(options), 1);
+        this._renderButtons();
+    }
+    /**
+     * Changes the options of a button (all the options except the name).
+     * @param {string} name The name of the button.
+     * @param {TitleBarButton} changes The new options (see `addButton()`).
+     */
+    updateButton(name, changes) {
+        var options = this._getButtonOptions(name, "updateButton");
+        for (var property in changes) {
+            if (property !== "name") {
+                options[property] = changes[property];
+            }
+        }
+        this._updateButtonElement(options);
+    }
+    /**
+     * Changes the order of the buttons of the menu bar.
+     * The buttons that are not in the list keep their order and go after the others.
+     * @param {Array<string>} names The names of the buttons, from left to right.
+     */
+    setButtonOrder(names) {
+        var ordered = [];
+        for (var name of names) {
+            var options = this._getButtonOptions(name, "setButtonOrder");
+            if (ordered.indexOf(options) === -1)
+                ordered.push(options);
+        }
+        for (var options of this.buttons) {
+            if (ordered.indexOf(options) === -1)
+                ordered.push(options);
+        }
+        this.buttons = ordered;
+        this._renderButtons();
+    }
+    /**
+     * Shows a button of the menu bar (after `hideButton()`).
+     * @param {string} name The name of the button.
+     */
+    showButton(name) {
+        this.updateButton(name, { visible: true });
+    }
+    /**
+     * Hides a button of the menu bar.
+     * @param {string} name The name of the button.
+     */
+    hideButton(name) {
+        this.updateButton(name, { visible: false });
+    }
+    /**
+     * Enables a button.
+     * @param {string | number} button The name of the button, or the index of a default button
+     * (0 for "minimize", 1 for "maximize" & 2 for "close").
+     */
+    enableButton(button) {
+        var options = this._getButtonOptions(button, "enableButton");
+        options.disabled = false;
+        this._updateButtonElement(options);
+    }
+    /**
+     * Disables a button.
+     * @param {string | number} button The name of the button, or the index of a default button
+     * (0 for "minimize", 1 for "maximize" & 2 for "close").
+     */
+    disableButton(button) {
+        var options = this._getButtonOptions(button, "disableButton");
+        options.disabled = true;
+        this._updateButtonElement(options);
+    }
+    /**
+     * Toggles a button: its icon & its title become `toggledIcon` & `toggledTitle`.
+     * The "maximize" button is toggled when the window is minimized or maximized.
+     * @param {string} name The name of the button.
+     * @param {boolean} toggled True to toggle the button.
+     */
+    setButtonToggled(name, toggled) {
+        this.updateButton(name, { toggled: toggled });
+    }
+    /**
+     * Creates the element of a button of the menu bar.
+     * @param {TitleBarButton} options The options of the button.
+     * @returns {HTMLButtonElement} The button.
+     * @private
+     */
+    _createButtonElement(options) {
+        var element = document.createElement("button");
+        element.setAttribute("type", "button");
+        element.setAttribute("data-button", options.name);
+        this._listenToButton(element);
+        return element;
+    }
+    /**
+     * Calls the handler of a button when the element is clicked.
+     * @param {HTMLButtonElement} element The element of the button (with the attribute `data-button`).
+     * @private
+     */
+    _listenToButton(element) {
+        var self = this;
+        var name = element.getAttribute("data-button");
+        element.addEventListener("click", function (e) {
+            // the handler can be changed with updateButton()
+            for (var current of self.buttons) {
+                if (current.name === name && current.onClick && !current.disabled) {
+                    current.onClick(self, e);
+                }
+            }
+        });
+    }
+    /**
+     * Gets the line of a button in the template of the window, for `renderToString()`.
+     * @param {TitleBarButton} options The options of the button.
+     * @returns {string} The line, at the level of the buttons.
+     * @private
+     */
+    _getButtonTemplate(options) {
+        var icon = options.toggled && options.toggledIcon !== undefined ? options.toggledIcon : options.icon;
+        var title = options.toggled && options.toggledTitle !== undefined ? options.toggledTitle : options.title;
+        var attributes = ["type=button", 'data-button="' + HTMLBuilder.escape(options.name) + '"'];
+        if (title) {
+            attributes.push('title="' + HTMLBuilder.escape(title) + '"', 'aria-label="' + HTMLBuilder.escape(title) + '"');
+        }
+        if (options.visible === false)
+            attributes.push("hidden");
+        if (options.disabled)
+            attributes.push("disabled");
+        // an icon element is added by the hydration
+        var content = typeof icon === "string" ? "(" + HTMLBuilder.escape(icon) + ")" : "";
+        return ">>>button[" + attributes.join("; ") + "]" + content;
+    }
+    /**
+     * Updates the element of a button according to its options.
+     * @param {TitleBarButton} options The options of the button.
+     * @private
+     */
+    _updateButtonElement(options) {
+        var element = this.getButton(options.name);
+        if (!element)
+            return;
+        var icon = options.toggled && options.toggledIcon !== undefined ? options.toggledIcon : options.icon;
+        var title = options.toggled && options.toggledTitle !== undefined ? options.toggledTitle : options.title;
+        if (typeof icon === "string") {
+            element.textContent = icon;
+        }
+        else {
+            element.textContent = "";
+            if (icon)
+                element.appendChild(icon);
+        }
+        if (title) {
+            element.setAttribute("title", title);
+            element.setAttribute("aria-label", title);
+        }
+        else {
+            element.removeAttribute("title");
+            element.removeAttribute("aria-label");
+        }
+        element.hidden = options.visible === false;
+        options.disabled ? element.setAttribute("disabled", "") : element.removeAttribute("disabled");
+    }
+    /**
+     * Creates, removes & sorts the elements of the buttons of the menu bar according to their options.
+     * @private
+     */
+    _renderButtons() {
+        if (!this.window)
+            return;
+        var container = this.window.querySelector(".window-main-buttons");
+        var names = this.getButtonNames();
+        for (var child of Array.prototype.slice.call(container.children)) {
+            if (names.indexOf(child.getAttribute("data-button") || "") === -1) {
+                container.removeChild(child);
+            }
+        }
+        for (var options of this.buttons) {
+            var element = this.getButton(options.name) || this._createButtonElement(options);
+            // the elements already in the right place are not moved, so they keep the focus
+            if (container.children[this.buttons.indexOf(options)] !== element) {
+                container.insertBefore(element, container.children[this.buttons.indexOf(options)] || null);
+            }
+            this._updateButtonElement(options);
+        }
+    }
+    /**
+     * Activates the fullscreen mode.
+     * @returns {boolean} True if the fullscreen mode has been allowed.
+     */
+    requestFullscreen() {
+        if (this.window) {
+            if (this.window.requestFullscreen) {
+                this.window.requestFullscreen();
+                this.isFullscreen = true;
+                this.emit("fullscreen", true);
+                return true;
+            }
+            else {
+                return false;
+            }
+        }
+        else {
+            throw new Error("The window is not built.");
+        }
+    }
+    /**
+     * Deactivates the fullscreen mode.
+     * @returns {boolean} True if the fullscreen mode has been successfully deactivated.
+     */
+    exitFullscreen() {
+        if (document.exitFullscreen) {
+            document.exitFullscreen();
+            this.isFullscreen = false;
+            this.emit("fullscreen", false);
+            return true;
+        }
+        else {
+            return false;
+        }
+    }
+    /**
+     * Temporarily disables the draggable property of the window & resets its position.
+     */
+    _hideDraggable() {
+        if (this.draggable && this.window && this.window.parentElement) {
+            if (this.window.dragger)
+                this.window.dragger.disable();
+            this.window.parentElement.style.left = "";
+            this.window.parentElement.style.top = "";
+        }
+    }
+    /**
+     * Resets the position of the window if it is draggable (after using `minify()`).
+     */
+    _resetDraggable() {
+        if (this.draggable && this.window && this.window.parentElement) {
+            this.window.parentElement.style.left = "";
+            this.window.parentElement.style.top = "";
+            this.window.parentElement.style.bottom = "";
+            this.window.parentElement.style.right = "";
+            if (this.window.dragger)
+                this.window.dragger.enable();
+        }
+    }
+    /**
+     * Temporarily disables the resizable property of the window because we don't want the user to move it when it's minimized.
+     */
+    _hideResizable() {
+        if (this.resizable && this.window && this.window.resizer) {
+            this.window.resizer.disable();
+        }
+    }
+    /**
+     * Resets the resizable property if it is enabled (after using `minify()`).
+     */
+    _resetResizable() {
+        if (this.resizable && this.window) {
+            this.window.resizer ? this.window.resizer.enable() : this._createResizer();
+        }
+    }
+    /**
+     * Enables or disables the animations of the window (see `animations`).
+     * @param {boolean} animations True to animate the window.
+     * @param {number} duration The duration of the animations in ms (by default 200).
+     * @param {string} easing The easing of the animations, a CSS timing function (by default "ease").
+     */
+    setAnimations(animations, duration = this.animationDuration, easing = this.animationEasing) {
+        if (typeof duration !== "number" || !(duration >= 0)) {
+            throw new Error("setAnimations(animations, duration): the duration must be a positive number.");
+        }
+        this.animations = animations;
+        this.animationDuration = duration;
+        this.animationEasing = easing;
+        if (!animations)
+            this._cancelAnimation();
+    }
+    /**
+     * Returns true if the window has to be animated: the animations are enabled, supported by the browser,
+     * and the user doesn't prefer reduced motion.
+     * @returns {boolean} True if the window has to be animated.
+     * @private
+     */
+    _shouldAnimate() {
+        if (!this.animations || !this.window || typeof this.window.animate !== "function")
+            return false;
+        return !(typeof window.matchMedia === "function" && window.matchMedia("(prefers-reduced-motion: reduce)").matches);
+    }
+    /**
+     * Stops the animation being played (its promise is resolved with false).
+     * @private
+     */
+    _cancelAnimation() {
+        if (this.animation) {
+            var animation = this.animation;
+            this.animation = null;
+            animation.cancel();
+        }
+    }
+    /**
+     * Plays an animation on the window. The previous animation is cancelled.
+     * @param {Array<Keyframe>} keyframes The keyframes of the animation.
+     * @returns {Promise<boolean>} A promise resolved with true when the animation has finished (immediately without animation),
+     * or false if it has been cancelled by another transition.
+     * @private
+     */
+    _animate(keyframes) {
+        this._cancelAnimation();
+        if (!this.window || !this._shouldAnimate())
+            return Promise.resolve(true);
+        var self = this;
+        var animation = this.window.animate(keyframes, {
+            duration: this.animationDuration,
+            easing: this.animationEasing,
+        });
+        this.animation = animation;
+        return new Promise(function (resolve) {
+            animation.onfinish = function () {
+                if (self.animation === animation)
+                    self.animation = null;
+                resolve(true);
+            };
+            animation.oncancel = function () {
+                if (self.animation === animation)
+                    self.animation = null;
+                resolve(false);
+            };
+        });
+    }
+    /**
+     * Animates the window from its previous position & size to the current ones.
+     * @param {DOMRect} first The rect of the window before the change.
+     * @returns {Promise<void>} A promise resolved when the animation has finished.
+     * @private
+     */
+    _animateFrom(first) {
+        var last = this.window.getBoundingClientRect();
+        var transform = "none";
+        if (first.width > 0 && first.height > 0 && last.width > 0 && last.height > 0) {
+            transform =
+                "translate(" +
+                    (first.left - last.left) +
+                    "px, " +
+                    (first.top - last.top) +
+                    "px) " +
+                    "scale(" +
+                    first.width / last.width +
+                    ", " +
+                    first.height / last.height +
+                    ")";
+        }
+        return this._animate([
+            { transformOrigin: "top left", transform: transform },
+            { transformOrigin: "top left", transform: "none" },
+        ]).then(function () { });
+    }
+    /**
+     * Plays an animation on the window, then hides an element (with a `display:none`).
+     * Without animation, the element is hidden immediately.
+     * @param {HTMLElement} element The element to hide.
+     * @param {Array<Keyframe>} keyframes The keyframes of the animation.
+     * @param {Function} callback The function to call once the element is hidden (not called if the animation is cancelled).
+     * @returns {Promise<void>} A promise resolved when the animation has finished.
+     * @private
+     */
+    _animateOut(element, keyframes, callback) {
+        var hide = function () {
+            element.style.display = "none";
+            callback();
+        };
+        if (!this._shouldAnimate()) {
+            this._cancelAnimation();
+            hide();
+            return Promise.resolve();
+        }
+        return this._animate(keyframes).then(function (finished) {
+            if (finished)
+                hide();
+        });
+    }
+    /**
+     * Gets the keyframes of the window going into the taskbar of its manager (or to the bottom of the viewport).
+     * @returns {Array<Keyframe>} The keyframes.
+     * @private
+     */
+    _getTaskbarKeyframes() {
+        var rect = this.window.getBoundingClientRect();
+        var target = { x: rect.left + rect.width / 2, y: window.innerHeight };
+        if (this.manager && this.manager.taskbar) {
+            var taskbarRect = this.manager.taskbar.container.getBoundingClientRect();
+            if (taskbarRect.width > 0) {
+                target = { x: taskbarRect.left + taskbarRect.width / 2, y: taskbarRect.top + taskbarRect.height / 2 };
+            }
+        }
+        var dx = target.x - (rect.left + rect.width / 2);
+        var dy = target.y - (rect.top + rect.height / 2);
+        return [
+            { opacity: 1, transform: "none" },
+            { opacity: 0, transform: "translate(" + dx + "px, " + dy + "px) scale(0.1)" },
+        ];
+    }
+    /**
+     * Minimizes the window. This is not possible if the absolute position has been disallowed.
+     * @param {string} x The x-direction of the absolute position ("left" by default or "right").
+     * @param {string} y The y-direction of the absolute position ("bottom" by default or "top").
+     * @param {number} posFromX The position from the left of right side (by default 20).
+     * @param {number} posFromY The position from the bottom or top side (by default 20).
+     * @returns {Promise<void>} A promise resolved when the transition has finished.
+     */
+    minify(x = this.minimizationOptions.xSide, y = this.minimizationOptions.ySide, posFromX = this.minimizationOptions.posFromX, posFromY = this.minimizationOptions.posFromY) {
+        if (!this.window)
+            throw new Error("The window is not built.");
+        if (!this.absolutePosition || !this.draggable)
+            return Promise.resolve();
+        // a modal window can only be minimized with its owner
+        if (this.modal && (this.owner === null || this.owner.status !== 1))
+            return Promise.resolve();
+        var self = this;
+        return this._runBeforeEvent("beforeMinify", function () {
+            // the window can be killed while the listeners are waiting
+            if (self.window)
+                return self._minify(x, y, posFromX, posFromY);
+        });
+    }
+    /**
+     * Minimizes the window once the "beforeMinify" listeners have agreed.
+     * @param {string} x The x-direction of the absolute position.
+     * @param {string} y The y-direction of the absolute position.
+     * @param {number} posFromX The position from the left of right side.
+     * @param {number} posFromY The position from the bottom or top side.
+     * @returns {Promise<void>} A promise resolved when the transition has finished.
+     * @private
+     */
+    _minify(x, y, posFromX, posFromY) {
+        if (this.isFullscreen) {
+            this.exitFullscreen();
+        }
+        var transition = Promise.resolve();
+        if (this.window) {
+            if (this.absolutePosition && this.draggable) {
+                if (this.window.parentElement === null) {
+                    throw new Error("Cannot minimize the window.");
+                }
+                var first = this.window.getBoundingClientRect();
+                if (this.status === 2) {
+                    this.restore();
+                }
+                if (this.manager && this.manager.taskbar) {
+                    // the window is represented by its button in the taskbar
+                    // so we just hide it & it keeps its position and its size
+                    transition = this._animateOut(this.getOuterElement(), this._getTaskbarKeyframes(), function () { });
+                    this.minimizedInTaskbar = true;
+                    this.manager.blur(this);
+                }
+                else {
+                    var position = this.window.dragger ? this.window.dragger.getPosition() : { x: 0, y: 0 };
+                    this.minimizedBounds = { x: position.x, y: position.y, snapZone: this.snapZone };
+                    this.window.style.width = this.minWidth + "px";
+                    this.window.style.height = this.minHeight + "px";
+                    this.snapZone = null;
+                    // disable draggable
+                    // very important /!\
+                    this._hideDraggable();
+                    x === "right"
+                        ? (this.window.parentElement.style.right = posFromX + "px")
+                        : (this.window.parentElement.style.left = posFromX + "px");
+                    y === "top"
+                        ? (this.window.parentElement.style.top = posFromY + "px")
+                        : (this.window.parentElement.style.bottom = posFromY + "px");
+                    this._hideResizable();
+                    transition = this._animateFrom(first);
+                }
+                this.status = 1;
+                this.disableButton("minimize");
+                this.enableButton("maximize");
+                this._updateMaximizeButton();
+                this._updateBackdrop();
+                if (this.manager)
+                    this.manager.refresh();
+                this.emit("minify");
+                for (var child of this.children.slice()) {
+                    if (child.window && child.status !== 1 && !child.isClosed()) {
+                        child.minimizedWithOwner = true;
+                        child.minify();
+                    }
+                }
+            }
+        }
+        else {
+            throw new Error("The window is not built.");
+        }
+        return transition;
+    }
+    /**
+     * Restores normal window dimensions only if the status is 1 (= minimized).
+     * This action enables the "minimize" button & the "restore" button becomes the "maximize" button again.
+     * @returns {Promise<void>} A promise resolved when the transition has finished.
+     */
+    extend() {
+        if (this.isFullscreen) {
+            this.exitFullscreen();
+        }
+        var transition = Promise.resolve();
+        if (this.status === 1) {
+            if (this.window) {
+                if (this.minimizedInTaskbar) {
+                    this.getOuterElement().style.display = "";
+                    this.minimizedInTaskbar = false;
+                    transition = this._animate(this._getTaskbarKeyframes().reverse()).then(function () { });
+                }
+                else {
+                    var first = this.window.getBoundingClientRect();
+                    // because we disabled draggable & resizable with minify()
+                    this._resetDraggable();
+                    this._resetResizable();
+                    this.window.style.width = this.width + "px";
+                    this.window.style.height = this.height + "px";
+                    transition = this._animateFrom(first);
+                }
+                this.status = 0;
+                this.minimizedBounds = null;
+                if (!this.modal)
+                    this.enableButton("minimize");
+                if (!this.maximizable)
+                    this.disableButton("maximize");
+                this._updateMaximizeButton();
+                this._updateBackdrop();
+                this.minimizedWithOwner = false;
+                if (this.manager)
+                    this.manager.refresh();
+                this.emit("extend");
+                for (var child of this.children.slice()) {
+                    if (child.minimizedWithOwner && child.status === 1) {
+                        child.extend();
+                    }
+                }
+            }
+            else {
+                throw new Error("The window is not built.");
+            }
+        }
+        return transition;
+    }
+    /**
+     * Defines the menus of the menu bar (under the title bar). The change is immediate.
+     * @param {Array<MenuItem> | null} menu The menus: items with a `label` & `items` (the items of the menu).
+     * An item can have an `id` (see `updateMenuItem()`), a `label`, a `shortcut` (for example "Ctrl+Shift+S"), `separator: true`,
+     * `checked` (true or false for a checkable item), `disabled`, `items` (a submenu) & `onClick(item, structure)`.
+     * Null to remove the menu bar.
+     */
+    setMenu(menu) {
+        this.menu = menu;
+        this._renderMenu();
+    }
+    /**
+     * Gets an item of the menu bar.
+     * @param {string} id The `id` of the item.
+     * @returns {MenuItem | null} The item (the object given to `setMenu()`) or null if it doesn't exist.
+     */
+    getMenuItem(id) {
+        var search = function (items) {
+            for (var item of items) {
+                if (item.id === id)
+                    return item;
+                var found = item.items ? search(item.items) : null;
+                if (found)
+                    return found;
+            }
+            return null;
+        };
+        return this.menu ? search(this.menu) : null;
+    }
+    /**
+     * Changes the options of an item of the menu bar (for example `{disabled: true}` or `{checked: false}`).
+     * @param {string} id The `id` of the item.
+     * @param {MenuItem} changes The new options (see `setMenu()`).
+     */
+    updateMenuItem(id, changes) {
+        var item = this.getMenuItem(id);
+        if (!item) {
+            throw new Error('updateMenuItem(id): the item "' + id + '" does not exist.');
+        }
+        for (var property in changes) {
+            item[property] = changes[property];
+        }
+        this._renderMenu();
+    }
+    /**
+     * Gets an item of the menu bar from its path (the indexes of the item & of its parents, separated by "-").
+     * @param {string} path The path of the item.
+     * @returns {MenuItem | null} The item or null if it doesn't exist.
+     * @private
+     */
+    _getMenuItemAt(path) {
+        var items = this.menu || [];
+        var item = null;
+        for (var index of path.split("-")) {
+            item = items[parseInt(index)] || null;
+            if (!item)
+                return null;
+            items = item.items || [];
+        }
+        return item;
+    }
+    /**
+     * Creates the template of the items of a menu.
+     * @param {Array<MenuItem>} items The items.
+     * @param {string} path The path of the menu.
+     * @param {number} level The level of indentation of the items.
+     * @returns {string} The template (HTMLBuilder syntax).
+     * @private
+     */
+    _getMenuTemplate(items, path, level) {
+        var indentation = ">".repeat(level);
+        var template = "";
+        for (var i = 0; i < items.length; i++) {
+            var item = items[i];
+            var itemPath = path + "-" + i;
+            if (item.separator) {
+                template += indentation + "div.window-menu-separator[role=separator]\n";
+                continue;
+            }
+            var attributes = ["type=button", "tabindex=-1", "data-menu-path=" + itemPath];
+            if (item.checked !== undefined) {
+                attributes.push("role=menuitemcheckbox", "aria-checked=" + (item.checked ? "true" : "false"));
+            }
+            else {
+                attributes.push("role=menuitem");
+            }
+            if (item.items)
+                attributes.push("aria-haspopup=true", "aria-expanded=false");
+            if (item.disabled)
+                attributes.push("disabled");
+            template += indentation + "div.window-menu-entry[role=none]\n";
+            template += indentation + ">button.window-menu-item[" + attributes.join("; ") + "]@menuItem\n";
+            template += indentation + ">>span.window-menu-check\n";
+            template += indentation + ">>span.window-menu-label\n";
+            template += indentation + ">>span.window-menu-shortcut\n";
+            if (item.items) {
+                template +=
+                    indentation +
+                        ">div.window-menu.window-submenu[role=menu; hidden; data-menu-path=" +
+                        itemPath +
+                        "]\n";
+                template += this._getMenuTemplate(item.items, itemPath, level + 2);
+            }
+        }
+        return template;
+    }
+    /**
+     * Renders the menu bar with HTMLBuilder.
+     * @private
+     */
+    _renderMenu() {
+        if (!this.window)
+            return;
+        var menubar = this.window.querySelector(".window-menubar");
+        this._closeMenus(0);
+        menubar.innerHTML = "";
+        menubar.hidden = !this.menu || this.menu.length === 0;
+        if (!this.menu)
+            return;
+        var template = "";
+        for (var i = 0; i < this.menu.length; i++) {
+            var attributes = ["type=button", "role=menuitem", "aria-haspopup=true", "aria-expanded=false"];
+            // only the first menu can be reached with Tab, the arrows move between the menus
+            attributes.push("tabindex=" + (i === 0 ? "0" : "-1"), "data-menu-path=" + i);
+            if (this.menu[i].disabled)
+                attributes.push("disabled");
+            template += "button.window-menu-title[" + attributes.join("; ") + "]@menuTitle\n";
+            template += "div.window-menu[role=menu; hidden; data-menu-path=" + i + "]\n";
+            template += this._getMenuTemplate(this.menu[i].items || [], i.toString(), 1);
+        }
+        this.menuBuilder.setParent(menubar);
+        this.menuBuilder.generate(template);
+        // the texts are set afterwards because they can contain characters used by the syntax of HTMLBuilder
+        var buttons = menubar.querySelectorAll("button[data-menu-path]");
+        for (var k = 0; k < buttons.length; k++) {
+            var button = buttons[k];
+            var item = this._getMenuItemAt(button.getAttribute("data-menu-path"));
+            if (button.classList.contains("window-menu-title")) {
+                button.textContent = item.label || "";
+            }
+            else {
+                button.querySelector(".window-menu-check").textContent = item.checked ? "\u2713" : "";
+                button.querySelector(".window-menu-label").textContent = item.label || "";
+                button.querySelector(".window-menu-shortcut").textContent = item.shortcut || "";
+            }
+        }
+    }
+    /**
+     * Gets an element of the menu bar from its path.
+     * @param {string} selector "button" for a title or an item, ".window-menu" for a menu.
+     * @param {string} path The path.
+     * @returns {HTMLElement | null} The element.
+     * @private
+     */
+    _getMenuElement(selector, path) {
+        if (!this.window)
+            return null;
+        return this.window.querySelector(".window-menubar " + selector + '[data-menu-path="' + path + '"]');
+    }
+    /**
+     * Gets the items of a menu that can be selected (not the disabled items nor the separators).
+     * @param {HTMLElement} menu The menu.
+     * @returns {Array<HTMLElement>} The items.
+     * @private
+     */
+    _getMenuItems(menu) {
+        var items = [];
+        for (var i = 0; i < menu.children.length; i++) {
+            var button = menu.children[i].querySelector(".window-menu-item");
+            if (button && !button.disabled)
+                items.push(button);
+        }
+        return items;
+    }
+    /**
+     * Opens a menu (or a submenu) & closes the other ones.
+     * @param {string} path The path of the menu.
+     * @param {number} focus 1 to focus the first item, -1 to focus the last one, 0 to keep the focus.
+     * @private
+     */
+    _openMenu(path, focus = 0) {
+        var menu = this._getMenuElement(".window-menu", path);
+        var trigger = this._getMenuElement("button", path);
+        if (!menu || !trigger)
+            return;
+        // the menus that don't contain this one are closed
+        var depth = path.split("-").length - 1;
+        this._closeMenus(depth);
+        if (depth === 0) {
+            menu.style.left = trigger.offsetLeft + "px";
+        }
+        menu.hidden = false;
+        trigger.setAttribute("aria-expanded", "true");
+        this.openMenus.push(menu);
+        var items = this._getMenuItems(menu);
+        if (focus !== 0 && items.length > 0) {
+            (focus > 0 ? items[0] : items[items.length - 1]).focus();
+        }
+    }
+    /**
+     * Closes the open menus from a depth (0 to close all the menus).
+     * @param {number} depth The depth of the first menu to close.
+     * @private
+     */
+    _closeMenus(depth) {
+        while (this.openMenus.length > depth) {
+            var menu = this.openMenus.pop();
+            menu.hidden = true;
+            var trigger = this._getMenuElement("button", menu.getAttribute("data-menu-path"));
+            if (trigger)
+                trigger.setAttribute("aria-expanded", "false");
+        }
+    }
+    /**
+     * Handles the clicks on the titles & the items of the menu bar.
+     * @param {MouseEvent} e The event.
+     * @private
+     */
+    _onMenuClick(e) {
+        var button = e.currentTarget;
+        var path = button.getAttribute("data-menu-path");
+        var item = this._getMenuItemAt(path);
+        if (!item || item.disabled)
+            return;
+        // a click with Enter or Space (detail === 0) focuses the first item of the menu
+        var focus = e.detail === 0 ? 1 : 0;
+        if (button.classList.contains("window-menu-title")) {
+            var menu = this._getMenuElement(".window-menu", path);
+            menu && !menu.hidden ? this._closeMenus(0) : this._openMenu(path, focus);
+        }
+        else if (item.items) {
+            this._openMenu(path, focus);
+        }
+        else {
+            this._closeMenus(0);
+            if (this.window)
+                this.window.focus();
+            this._selectMenuItem(item);
+        }
+    }
+    /**
+     * Selects an item of the menu bar: checks or unchecks it if it is checkable & calls its `onClick()`.
+     * @param {MenuItem} item The item.
+     * @private
+     */
+    _selectMenuItem(item) {
+        if (item.checked !== undefined) {
+            item.checked = !item.checked;
+            this._renderMenu();
+        }
+        if (item.onClick)
+            item.onClick(item, this);
+        this.emit("menuSelect", item);
+    }
+    /**
+     * Handles the keyboard in the menu bar: the arrows, Home, End & Escape.
+     * @param {KeyboardEvent} e The event.
+     * @private
+     */
+    _onMenuKeyDown(e) {
+        var target = e.target;
+        var path = target.getAttribute("data-menu-path");
+        if (path === null || !this.menu)
+            return;
+        var indexes = path.split("-");
+        var isTitle = target.classList.contains("window-menu-title");
+        var item = this._getMenuItemAt(path);
+        var self = this;
+        // moves to the previous or the next menu of the menu bar
+        var moveToMenu = function (step, open) {
+            var menu = self.menu;
+            var index = parseInt(indexes[0]);
+            for (var i = 1; i <= menu.length; i++) {
+                var next = (index + step * i + menu.length * i) % menu.length;
+                var title = self._getMenuElement("button", next.toString());
+                if (!title.disabled) {
+                    var titles = self.window.querySelectorAll(".window-menu-title");
+                    for (var k = 0; k < titles.length; k++)
+                        titles[k].setAttribute("tabindex", "-1");
+                    title.setAttribute("tabindex", "0");
+                    open ? self._openMenu(next.toString(), 1) : (self._closeMenus(0), title.focus());
+                    return;
+                }
+            }
+        };
+        var handled = true;
+        if (isTitle) {
+            if (e.key === "ArrowRight" || e.key === "ArrowLeft") {
+                moveToMenu(e.key === "ArrowRight" ? 1 : -1, this.openMenus.length > 0);
+            }
+            else if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+                this._openMenu(path, e.key === "ArrowDown" ? 1 : -1);
+            }
+            else if (e.key === "Escape" && this.openMenus.length > 0) {
+                this._closeMenus(0);
+            }
+            else {
+                handled = false;
+            }
+        }
+        else {
+            var menu = target.closest(".window-menu");
+            var items = this._getMenuItems(menu);
+            var position = items.indexOf(target);
+            if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+                var step = e.key === "ArrowDown" ? 1 : -1;
+                items[(position + step + items.length) % items.length].focus();
+            }
+            else if (e.key === "Home" || e.key === "End") {
+                items[e.key === "Home" ? 0 : items.length - 1].focus();
+            }
+            else if (e.key === "ArrowRight" && item.items) {
+                this._openMenu(path, 1);
+            }
+            else if (e.key === "ArrowRight" || (e.key === "ArrowLeft" && indexes.length === 2)) {
+                moveToMenu(e.key === "ArrowRight" ? 1 : -1, true);
+            }
+            else if (e.key === "ArrowLeft" || e.key === "Escape") {
+                // closes the current menu & goes back to the item (or the title) that opened it
+                var parentPath = indexes.slice(0, -1).join("-");
+                this._closeMenus(parentPath.split("-").length - 1);
+                var trigger = this._getMenuElement("button", parentPath);
+                if (trigger)
+                    trigger.focus();
+            }
+            else if (e.key === "Tab") {
+                this._closeMenus(0);
+                handled = false;
+            }
+            else {
+                handled = false;
+            }
+        }
+        if (handled) {
+            e.preventDefault();
+        }
+    }
+    /**
+     * Opens the menu under the pointer when another menu is already open.
+     * @param {MouseEvent} e The event.
+     * @private
+     */
+    _onMenuHover(e) {
+        var target = e.target.closest("button[data-menu-path]");
+        if (!target || target.disabled || this.openMenus.length === 0)
+            return;
+        var path = target.getAttribute("data-menu-path");
+        var item = this._getMenuItemAt(path);
+        if (target.classList.contains("window-menu-title")) {
+            if (this.openMenus[0].getAttribute("data-menu-path") !== path)
+                this._openMenu(path);
+        }
+        else if (item && item.items) {
+            this._openMenu(path);
+        }
+        else {
+            // the submenus of the other items are closed
+            this._closeMenus(path.split("-").length - 1);
+        }
+    }
+    /**
+     * Selects the item whose shortcut corresponds to the keys. The keys typed into a field are ignored.
+     * @param {KeyboardEvent} e The event.
+     * @returns {boolean} True if an item has been selected.
+     * @private
+     */
+    _runMenuShortcut(e) {
+        if (this._isEditable(e.target))
+            return false;
+        var matches = function (shortcut) {
+            var keys = shortcut.toLowerCase().split("+");
+            var key = keys.pop();
+            return (key !== undefined &&
+                e.key.toLowerCase() === key &&
+                e.ctrlKey === (keys.indexOf("ctrl") !== -1) &&
+                e.shiftKey === (keys.indexOf("shift") !== -1) &&
+                e.altKey === (keys.indexOf("alt") !== -1) &&
+                e.metaKey === (keys.indexOf("meta") !== -1 || keys.indexOf("cmd") !== -1));
+        };
+        var search = function (items) {
+            for (var item of items) {
+                if (item.disabled || item.separator)
+                    continue;
+                if (item.items) {
+                    var found = search(item.items);
+                    if (found)
+                        return found;
+                }
+                else if (item.shortcut && matches(item.shortcut.replace(/\s/g, ""))) {
+                    return item;
+                }
+            }
+            return null;
+        };
+        var item = this.menu ? search(this.menu) : null;
+        if (item) {
+            e.preventDefault();
+            this._selectMenuItem(item);
+            return true;
+        }
+        return false;
+    }
+    /**
+     * Gets a tab from its id.
+     * @param {string} id The id of the tab.
+     * @param {string} method The name of the method, for the error message.
+     * @private
+     */
+    _getTab(id, method) {
+        for (var tab of this.tabs) {
+            if (tab.id === id)
+                return tab;
+        }
+        throw new Error(method + '(id): the tab "' + id + '" does not exist.');
+    }
+    /**
+     * Adds a tab to the window. The first tab is activated.
+     * @param {WindowTab} tab The options of the tab: its `title`, its `id` (generated by default), its content
+     * (a `template` with the HTMLBuilder syntax or an element: `content`) & `closable` (true by default).
+     * @param {number} index The position of the tab, from left to right (by default at the end).
+     * @returns {string} The id of the tab.
+     */
+    addTab(tab, index = this.tabs.length) {
+        var id = tab.id !== undefined ? tab.id : "tab-" + (this.tabCount + 1);
+        for (var other of this.tabs) {
+            if (other.id === id)
+                throw new Error('addTab(tab): the tab "' + id + '" already exists.');
+        }
+        this.tabCount++;
+        var panel = document.createElement("div");
+        panel.className = "window-tab-panel";
+        panel.id = this.key + "-tabpanel-" + this.tabCount;
+        panel.setAttribute("role", "tabpanel");
+        panel.hidden = true;
+        if (tab.content) {
+            panel.appendChild(tab.content);
+        }
+        if (tab.template) {
+            this.builder.setParent(panel);
+            this.builder.generate(tab.template);
+        }
+        this.tabs.splice(Math.max(0, Math.min(index, this.tabs.length)), 0, {
+            id: id,
+            title: tab.title,
+            closable: tab.closable !== false,
+            uid: this.tabCount,
+            panel: panel,
+            element: null,
+        });
+        if (this.window) {
+            this.window.querySelector(".window-body").appendChild(panel);
+        }
+        this._renderTabs();
+        this.emit("tabAdd", id);
+        if (this.activeTab === null) {
+            this.activateTab(id);
+        }
+        return id;
+    }
+    /**
+     * Removes a tab & its content. If it was the active tab, the next one is activated.
+     * @param {string} id The id of the tab.
+     */
+    removeTab(id) {
+        var tab = this._getTab(id, "removeTab");
+        var index = this.tabs.indexOf(tab);
+        this.tabs.splice(index, 1);
+        if (tab.panel.parentNode)
+            tab.panel.parentNode.removeChild(tab.panel);
+        if (tab.element && tab.element.parentNode)
+            tab.element.parentNode.removeChild(tab.element);
+        this.emit("tabRemove", id);
+        if (this.activeTab === id) {
+            this.activeTab = null;
+            var next = this.tabs[Math.min(index, this.tabs.length - 1)];
+            if (next)
+                this.activateTab(next.id);
+        }
+        this._renderTabs();
+    }
+    /**
+     * Closes a tab like its closing button: the "beforeTabClose" listeners (that receive the id of the tab) can cancel this action.
+     * @param {string} id The id of the tab.
+     */
+    closeTab(id) {
+        this._getTab(id, "closeTab");
+        var self = this;
+        this._runBeforeEvent("beforeTabClose", function () {
+            self.removeTab(id);
+        }, id);
+    }
+    /**
+     * Activates a tab: its content is displayed.
+     * @param {string} id The id of the tab.
+     */
+    activateTab(id) {
+        this._getTab(id, "activateTab");
+        if (this.activeTab === id)
+            return;
+        var previous = this.activeTab;
+        this.activeTab = id;
+        this._renderTabs();
+        this.emit("tabActivate", id, previous);
+    }
+    /**
+     * Moves a tab.
+     * @param {string} id The id of the tab.
+     * @param {number} index The new position of the tab, from left to right.
+     */
+    moveTab(id, index) {
+        var tab = this._getTab(id, "moveTab");
+        index = Math.max(0, Math.min(index, this.tabs.length - 1));
+        if (this.tabs.indexOf(tab) === index)
+            return;
+        this.tabs.splice(this.tabs.indexOf(tab), 1);
+        this.tabs.splice(index, 0, tab);
+        this._renderTabs();
+        this.emit("tabMove", id, index);
+    }
+    /**
+     * Moves a tab into a new window, which is built. The new window gets the title of the tab, and the size, the limits
+     * of the size, the aspect ratio, the parent, the drag & resize options (mode, containment, axis, grid, snapping),
+     * the keyboard options, the owner, the manager, the theme, the colors, the minimization options, the custom
+     * buttons, the menu, the tab strip option & the animations of this window. The id, the other tabs, the content,
+     * the position & the modal state are not carried over.
+     * @param {string} id The id of the tab.
+     * @param {number} x The left position of the new window in the viewport (by default the new window keeps its default position).
+     * @param {number} y The top position of the new window in the viewport.
+     * @returns {WindowStructure} The new window.
+     */
+    detachTab(id, x, y) {
+        var tab = this._getTab(id, "detachTab");
+        var self = this;
+        var colors = {};
+        for (var color in this.colors) {
+            colors[color] = this.colors[color];
+        }
+        var structure = new WindowStructure({
+            title: tab.title,
+            width: this.width,
+            height: this.height,
+            minWidth: this.minWidth,
+            minHeight: this.minHeight,
+            maxWidth: this.maxWidth,
+            maxHeight: this.maxHeight,
+            aspectRatio: this.aspectRatio,
+            parent: this.parent,
+            draggable: this.draggable,
+            resizable: this.resizable,
+            maximizable: this.maximizable,
+            dragMode: this.dragMode,
+            containment: this.containment,
+            dragAxis: this.dragAxis,
+            grid: Array.isArray(this.grid) ? [this.grid[0], this.grid[1]] : this.grid,
+            snapping: this.snapping,
+            snapThreshold: this.snapThreshold,
+            focusTrap: this.focusTrap,
+            closeOnEscape: this.closeOnEscape,
+            keyboardShortcuts: this.keyboardShortcuts,
+            keyboardStep: this.keyboardStep,
+            owner: this.owner,
+            manager: this.manager,
+            theme: this.theme,
+            colors: colors,
+            minimizationOptions: {
+                xSide: this.minimizationOptions.xSide,
+                ySide: this.minimizationOptions.ySide,
+                posFromX: this.minimizationOptions.posFromX,
+                posFromY: this.minimizationOptions.posFromY,
+            },
+            // the default buttons are created by the new window, addButton() copies the custom ones
+            buttons: this.buttons.filter(function (button) {
+                return self.DEFAULT_BUTTONS.indexOf(button.name) === -1;
+            }),
+            menu: this.menu,
+            tabStrip: this.tabStrip,
+            animations: this.animations,
+            animationDuration: this.animationDuration,
+            animationEasing: this.animationEasing,
+        });
+        structure.build();
+        structure.addTab({ id: tab.id, title: tab.title, closable: tab.closable });
+        // the content keeps its elements & its listeners
+        var panel = structure._getTab(tab.id, "detachTab").panel;
+        while (tab.panel.firstChild) {
+            panel.appendChild(tab.panel.firstChild);
+        }
+        this.removeTab(id);
+        if (x !== undefined && y !== undefined && structure.window && structure.window.dragger) {
+            structure.window.dragger.moveElementTo(x, y);
+        }
+        this.emit("tabDetach", id, structure);
+        return structure;
+    }
+    /**
+     * Changes the title of a tab.
+     * @param {string} id The id of the tab.
+     * @param {string} title The new title.
+     */
+    setTabTitle(id, title) {
+        this._getTab(id, "setTabTitle").title = title;
+        this._renderTabs();
+    }
+    /**
+     * Gets the tabs of the window, from left to right.
+     * @returns {Array<{id: string, title: string}>} The tabs.
+     */
+    getTabs() {
+        return this.tabs.map(function (tab) {
+            return { id: tab.id, title: tab.title };
+        });
+    }
+    /**
+     * Gets the id of the active tab.
+     * @returns {string | null} The id or null if there is no tab.
+     */
+    getActiveTab() {
+        return this.activeTab;
+    }
+    /**
+     * Gets the element that contains the content of a tab.
+     * @param {string} id The id of the tab.
+     * @returns {HTMLElement} The panel of the tab.
+     */
+    getTabPanel(id) {
+        return this._getTab(id, "getTabPanel").panel;
+    }
+    /**
+     * Displays the tabs in the title bar, or the title of the active tab instead (see `tabStrip`).
+     * @param {boolean} tabStrip True to display the tabs.
+     */
+    setTabStrip(tabStrip) {
+        this.tabStrip = tabStrip;
+        this._renderTabs();
+    }
+    /**
+     * Displays the title of the window, or the title of the active tab if the tabs are not displayed.
+     * @private
+     */
+    _updateTitleElement() {
+        if (!this.window)
+            return;
+        var titleElement = this.window.querySelector(".window-title");
+        if (!titleElement) {
+            throw new Error("The window was not built correctly.");
+        }
+        var title = this.title;
+        if (!this.tabStrip && this.activeTab !== null) {
+            title = this._getTab(this.activeTab, "_updateTitleElement").title;
+        }
+        titleElement.textContent = title;
+    }
+    /**
+     * Updates the tabs of the title bar & displays the content of the active tab.
+     * @private
+     */
+    _renderTabs() {
+        if (!this.window)
+            return;
+        var strip = this.window.querySelector(".window-tabs");
+        var hadFocus = strip.contains(document.activeElement);
+        var displayed = this.tabStrip && this.tabs.length > 0;
+        strip.hidden = !displayed;
+        this.window.querySelector(".window-container-title").hidden = displayed;
+        for (var i = 0; i < this.tabs.length; i++) {
+            var tab = this.tabs[i];
+            var active = tab.id === this.activeTab;
+            tab.panel.hidden = !active;
+            var element = tab.element || this._createTabElement(tab.id);
+            tab.element = element;
+            element.classList.toggle("active", active);
+            element.setAttribute("aria-selected", active ? "true" : "false");
+            // only the active tab can be reached with Tab, the arrows move between the tabs
+            element.setAttribute("tabindex", active ? "0" : "-1");
+            element.setAttribute("aria-controls", tab.panel.id);
+            tab.panel.setAttribute("aria-labelledby", element.id);
+            element.querySelector(".window-tab-title").textContent = tab.title;
+            var closeButton = element.querySelector(".window-tab-close");
+            closeButton.hidden = !tab.closable;
+            closeButton.setAttribute("aria-label", "Close " + tab.title);
+            if (strip.children[i] !== element) {
+                strip.insertBefore(element, strip.children[i] || null);
+            }
+        }
+        this._updateTitleElement();
+        if (hadFocus && this.activeTab !== null) {
+            var activeElement = this._getTab(this.activeTab, "_renderTabs").element;
+            if (activeElement)
+                activeElement.focus();
+        }
+    }
+    /**
+     * Creates the element of a tab in the title bar.
+     * @param {string} id The id of the tab.
+     * @returns {HTMLElement} The element.
+     * @private
+     */
+    _createTabElement(id) {
+        var tab = this._getTab(id, "_createTabElement");
+        var element = document.createElement("div");
+        element.className = "window-tab";
+        element.id = this.key + "-tab-" + tab.uid;
+        element.setAttribute("role", "tab");
+        element.setAttribute("data-tab", id);
+        var title = document.createElement("span");
+        title.className = "window-tab-title";
+        element.appendChild(title);
+        var closeButton = document.createElement("button");
+        closeButton.className = "window-tab-close";
+        closeButton.setAttribute("type", "button");
+        closeButton.setAttribute("tabindex", "-1");
+        closeButton.textContent = "\u00D7";
+        element.appendChild(closeButton);
+        var self = this;
+        closeButton.addEventListener("pointerdown", function (e) {
+            // neither the tab nor the window are dragged
+            e.stopPropagation();
+        });
+        closeButton.addEventListener("click", function () {
+            self.closeTab(id);
+        });
+        element.addEventListener("pointerdown", function (e) {
+            self._onTabPointerDown(e, id);
+        });
+        return element;
+    }
+    /**
+     * Activates a tab & starts dragging it.
+     * @param {PointerEvent} e The event.
+     * @param {string} id The id of the tab.
+     * @private
+     */
+    _onTabPointerDown(e, id) {
+        if (e.pointerType === "mouse" && e.button !== 0)
+            return;
+        // the window is not dragged
+        e.stopPropagation();
+        this.activateTab(id);
+        // the tab is moved in the strip while dragging, so the strip captures the pointer
+        var strip = this.window.querySelector(".window-tabs");
+        strip.setPointerCapture(e.pointerId);
+        this.tabDrag = { id: id, pointerId: e.pointerId, startX: e.clientX, startY: e.clientY, dragging: false };
+    }
+    /**
+     * Returns true if the pointer is far enough from the tabs to detach the dragged tab.
+     * @param {PointerEvent} e The event.
+     * @returns {boolean} True if the tab would be detached.
+     * @private
+     */
+    _isOutOfTabStrip(e) {
+        var strip = this.window.querySelector(".window-tabs");
+        var rect = strip.getBoundingClientRect();
+        return this.tabs.length > 1 && (e.clientY < rect.top - 30 || e.clientY > rect.bottom + 30);
+    }
+    /**
+     * Moves the dragged tab among the other tabs.
+     * @param {PointerEvent} e The event.
+     * @private
+     */
+    _onTabPointerMove(e) {
+        var drag = this.tabDrag;
+        if (drag === null || drag.pointerId !== e.pointerId)
+            return;
+        if (!drag.dragging) {
+            if (Math.abs(e.clientX - drag.startX) < 5 && Math.abs(e.clientY - drag.startY) < 5)
+                return;
+            drag.dragging = true;
+        }
+        var tab = this._getTab(drag.id, "_onTabPointerMove");
+        var outside = this._isOutOfTabStrip(e);
+        if (tab.element)
+            tab.element.classList.toggle("detaching", outside);
+        if (outside)
+            return;
+        // the new position is the number of tabs on the left of the pointer
+        var index = 0;
+        for (var other of this.tabs) {
+            if (other !== tab && other.element) {
+                var rect = other.element.getBoundingClientRect();
+                if (e.clientX > rect.left + rect.width / 2)
+                    index++;
+            }
+        }
+        this.moveTab(drag.id, index);
+    }
+    /**
+     * Stops dragging a tab. The tab is detached if it has been dropped far from the other tabs.
+     * @param {PointerEvent} e The event.
+     * @private
+     */
+    _onTabPointerUp(e) {
+        var drag = this.tabDrag;
+        if (drag === null || drag.pointerId !== e.pointerId)
+            return;
+        this.tabDrag = null;
+        var strip = this.window.querySelector(".window-tabs");
+        if (strip.hasPointerCapture(e.pointerId)) {
+            strip.releasePointerCapture(e.pointerId);
+        }
+        var tab = this._getTab(drag.id, "_onTabPointerUp");
+        if (tab.element)
+            tab.element.classList.remove("detaching");
+        if (drag.dragging && e.type === "pointerup" && this._isOutOfTabStrip(e)) {
+            this.detachTab(drag.id, e.clientX, e.clientY);
+        }
+    }
+    /**
+     * Handles the keyboard in the tabs: the arrows, Home & End activate another tab, Delete closes the tab.
+     * @param {KeyboardEvent} e The event.
+     * @private
+     */
+    _onTabKeyDown(e) {
+        var target = e.target;
+        var id = target.getAttribute("data-tab");
+        if (id === null || this.tabs.length === 0)
+            return;
+        var index = this.tabs.indexOf(this._getTab(id, "_onTabKeyDown"));
+        var next = null;
+        if (e.key === "ArrowRight")
+            next = (index + 1) % this.tabs.length;
+        if (e.key === "ArrowLeft")
+            next = (index - 1 + this.tabs.length) % this.tabs.length;
+        if (e.key === "Home")
+            next = 0;
+        if (e.key === "End")
+            next = this.tabs.length - 1;
+        if (next !== null) {
+            e.preventDefault();
+            this.activateTab(this.tabs[next].id);
+            var element = this.tabs[next].element;
+            if (element)
+                element.focus();
+        }
+        else if (e.key === "Delete" && this.tabs[index].closable) {
+            e.preventDefault();
+            this.closeTab(id);
+        }
+    }
+    /**
+     * Defines the source of the content of the body & loads it (once the window is built).
+     * The content replaces the content of the body. A loading indicator is displayed while loading,
+     * and an error message with a "Retry" button if the loading fails.
+     * @param {ContentSource | Function | null} source An object with one of these properties: `url` (an HTML fragment
+     * to fetch, with the optional `fetchOptions`), `iframe` (the URL of a page to display in a sandboxed iframe, with the
+     * optional `sandbox` attribute, by default "allow-scripts allow-forms", or null to remove the sandbox) or `load`
+     * (a function that receives the window and returns a template with the HTMLBuilder syntax, a DOM node, or a promise of them).
+     * The optional `timeout` (in milliseconds) makes the loading fail if it takes longer. An iframe only fails on a network
+     * error or with a timeout: the browsers don't tell if the page is an HTTP error or if it has been blocked.
+     * A function is the same as `{ load: source }`. Null to remove the source (the body keeps its content).
+     * @returns {Promise<boolean>} A promise resolved with true when the content is ready, false if the loading failed
+     * or if the window is not built yet.
+     */
+    setContent(source) {
+        if (typeof source === "function") {
+            source = { load: source };
+        }
+        if (source !== null) {
+            var count = (typeof source.url === "string" ? 1 : 0) +
+                (typeof source.iframe === "string" ? 1 : 0) +
+                (typeof source.load === "function" ? 1 : 0);
+            if (count !== 1) {
+                throw new Error("setContent(source): the source must have a `url`, an `iframe` or a `load` function.");
+            }
+            if (source.timeout !== undefined && !(typeof source.timeout === "number" && source.timeout > 0)) {
+                throw new Error("setContent(source): the timeout must be a positive number of milliseconds.");
+            }
+        }
+        this.contentSource = source;
+        this.contentRequest++;
+        // the loading in progress is cancelled
+        if (this.window && source === null)
+            this._showContentState(null);
+        return this.window && source !== null ? this._loadContent() : Promise.resolve(false);
+    }
+    /**
+     * Loads the content again from its source (see `setContent()`).
+     * @returns {Promise<boolean>} A promise resolved with true when the content is ready, false if the loading failed.
+     */
+    reload() {
+        if (!this.window)
+            throw new Error("The window is not built.");
+        if (this.contentSource === null)
+            return Promise.resolve(false);
+        return this._loadContent();
+    }
+    /**
+     * Loads the content of the body from its source.
+     * @returns {Promise<boolean>} A promise resolved with true when the content is ready, false otherwise.
+     * @private
+     */
+    _loadContent() {
+        var source = this.contentSource;
+        var body = this.window.querySelector(".window-body");
+        var request = ++this.contentRequest;
+        var self = this;
+        this._clearBody();
+        this._showContentState("loading");
+        var content;
+        if (typeof source.url === "string") {
+            content = fetch(source.url, source.fetchOptions)
+                .then(function (response) {
+                if (!response.ok) {
+                    throw new Error(response.status + " " + response.statusText);
+                }
+                return response.text();
+            })
+                .then(function (html) {
+                var template = document.createElement("template");
+                template.innerHTML = html;
+                return template.content;
+            });
+        }
+        else if (typeof source.iframe === "string") {
+            // the iframe has to be in the document in order to load
+            var iframe = document.createElement("iframe");
+            iframe.className = "window-iframe";
+            iframe.title = this.title;
+            iframe.hidden = true;
+            var sandbox = source.sandbox !== undefined ? source.sandbox : "allow-scripts allow-forms";
+            if (sandbox !== null)
+                iframe.setAttribute("sandbox", sandbox);
+            content = new Promise(function (resolve, reject) {
+                iframe.addEventListener("load", function () {
+                    resolve(iframe);
+                });
+                iframe.addEventListener("error", function () {
+                    reject(new Error("the page cannot be displayed"));
+                });
+            });
+            iframe.src = source.iframe;
+            body.appendChild(iframe);
+        }
+        else {
+            var load = source.load;
+            content = Promise.resolve().then(function () {
+                return load(self);
+            });
+        }
+        if (source.timeout !== undefined) {
+            var timeout = source.timeout;
+            var timer = 0;
+            var clear = function () {
+                window.clearTimeout(timer);
+            };
+            content = Promise.race([
+                content,
+                new Promise(function (resolve, reject) {
+                    timer = window.setTimeout(function () {
+                        reject(new Error("no response after " + timeout + " ms"));
+                    }, timeout);
+                }),
+            ]);
+            // the timer is stopped as soon as the content is settled
+            content.then(clear, clear);
+        }
+        var fail = function (error) {
+            // a newer request has been made, or the window has been killed
+            if (request !== self.contentRequest)
+                return false;
+            self._clearBody();
+            self._showContentState("error", error);
+            self.emit("contentError", error);
+            return false;
+        };
+        // the promise is never rejected: the errors are displayed in the body
+        return content.then(function (result) {
+            if (request !== self.contentRequest)
+                return false;
+            try {
+                if (typeof result !== "string" && !(result instanceof Node)) {
+                    throw new Error("the content must be a template or a DOM node");
+                }
+                self._showContentState(null);
+                if (typeof result === "string") {
+                    self.builder.setParent(body);
+                    self.builder.generate(result);
+                }
+                else if (result.parentNode !== body) {
+                    body.appendChild(result);
+                }
+            }
+            catch (error) {
+                return fail(error);
+            }
+            if (result instanceof HTMLIFrameElement)
+                result.hidden = false;
+            self.emit("contentReady");
+            return true;
+        }, fail);
+    }
+    /**
+     * Removes the content of the body, except the panels of the tabs (see `addTab()`).
+     * @private
+     */
+    _clearBody() {
+        var body = this.window.querySelector(".window-body");
+        var panels = this.tabs.map(function (tab) {
+            return tab.panel;
+        });
+        var nodes = Array.prototype.slice.call(body.childNodes);
+        for (var node of nodes) {
+            if (panels.indexOf(node) === -1)
+                body.removeChild(node);
+        }
+    }
+    /**
+     * Displays the loading indicator or the error message in the body, or removes them.
+     * @param {string | null} state "loading", "error" or null.
+     * @param {any} error The error ("error" only).
+     * @private
+     */
+    _showContentState(state, error) {
+        var body = this.window.querySelector(".window-body");
+        var previous = body.querySelectorAll(":scope > .window-loader, :scope > .window-error");
+        for (var i = 0; i < previous.length; i++) {
+            body.removeChild(previous[i]);
+        }
+        body.classList.toggle("window-loading", state === "loading");
+        state === "loading" ? body.setAttribute("aria-busy", "true") : body.removeAttribute("aria-busy");
+        if (state === "loading") {
+            var loader = document.createElement("div");
+            loader.className = "window-loader";
+            loader.setAttribute("role", "status");
+            var spinner = document.createElement("span");
+            spinner.className = "window-spinner";
+            spinner.setAttribute("aria-hidden", "true");
+            loader.appendChild(spinner);
+            loader.appendChild(document.createTextNode("Loading\u2026"));
+            body.appendChild(loader);
+        }
+        else if (state === "error") {
+            var errorElement = document.createElement("div");
+            errorElement.className = "window-error";
+            errorElement.setAttribute("role", "alert");
+            var message = document.createElement("p");
+            message.className = "window-error-message";
+            message.textContent =
+                "The content could not be loaded" + (error && error.message ? ": " + error.message : ".");
+            errorElement.appendChild(message);
+            var self = this;
+            var retry = document.createElement("button");
+            retry.className = "window-retry";
+            retry.setAttribute("type", "button");
+            retry.textContent = "Retry";
+            retry.addEventListener("click", function () {
+                self.reload();
+            });
+            errorElement.appendChild(retry);
+            body.appendChild(errorElement);
+        }
+    }
+    /**
+     * Updates the icon & the title of the "maximize" button according to the status of the window:
+     * "maximize" if the window is normal, "restore" otherwise.
+     * @private
+     */
+    _updateMaximizeButton() {
+        this.setButtonToggled("maximize", this.status !== 0);
+    }
+    /**
+     * Fills the parent element of the window (the viewport if the parent element is `document.body`).
+     * @private
+     */
+    _fillParent() {
+        if (!this.window || !this.window.dragger)
+            return;
+        var area = this.getParentArea();
+        this.window.style.width = area.width + "px";
+        this.window.style.height = area.height + "px";
+        this.window.dragger.moveElementTo(area.x, area.y);
+    }
+    /**
+     * Maximizes the window: it fills its parent element (the viewport if the parent element is `document.body`).
+     * The previous position & size are kept in order to restore them with `restore()`.
+     * The window can't be dragged or resized while it is maximized.
+     * This is not possible if the absolute position has been disallowed.
+     * @returns {Promise<void>} A promise resolved when the transition has finished.
+     */
+    maximize() {
+        if (this.isFullscreen) {
+            this.exitFullscreen();
+        }
+        if (!this.window)
+            throw new Error("The window is not built.");
+        if (this.status === 2 ||
+            !this.maximizable ||
+            !this.absolutePosition ||
+            !this.draggable ||
+            !this.window.dragger) {
+            return Promise.resolve();
+        }
+        var first = this.window.getBoundingClientRect();
+        if (this.status === 1) {
+            this.extend();
+        }
+        var position = this.window.dragger.getPosition();
+        this.restoreBounds = {
+            x: position.x,
+            y: position.y,
+            width: this.window.style.width,
+            height: this.window.style.height,
+            snapZone: this.snapZone,
+        };
+        this.snapZone = null;
+        this._fillParent();
+        this.window.dragger.disable();
+        this._hideResizable();
+        this.status = 2;
+        this.window.classList.add("window-maximized");
+        this._updateMaximizeButton();
+        var transition = this._animateFrom(first);
+        this.emit("maximize");
+        return transition;
+    }
+    /**
+     * Restores the position & the size of the window only if the status is 2 (= maximized).
+     * With a state (see `serialize()`), applies this state to the window instead (without animation).
+     * @param {WindowState} state The state to apply.
+     * @returns {Promise<void>} A promise resolved when the transition has finished.
+     */
+    restore(state) {
+        if (state !== undefined) {
+            this._applyState(state);
+            return Promise.resolve();
+        }
+        if (this.isFullscreen) {
+            this.exitFullscreen();
+        }
+        if (!this.window)
+            throw new Error("The window is not built.");
+        if (this.status !== 2)
+            return Promise.resolve();
+        var first = this.window.getBoundingClientRect();
+        this.status = 0;
+        if (this.restoreBounds) {
+            this.window.style.width = this.restoreBounds.width;
+            this.window.style.height = this.restoreBounds.height;
+            this.snapZone = this.restoreBounds.snapZone;
+            if (this.window.dragger) {
+                this.window.dragger.moveTo(this.restoreBounds.x, this.restoreBounds.y);
+            }
+            this.restoreBounds = null;
+        }
+        if (this.draggable && this.window.dragger) {
+            this.window.dragger.enable();
+        }
+        this._resetResizable();
+        this.window.classList.remove("window-maximized");
+        this._updateMaximizeButton();
+        var transition = this._animateFrom(first);
+        this.emit("restore");
+        return transition;
+    }
+    /**
+     * Gets the state of the window in order to restore it later with `restore(state)`.
+     * The position & the size are the ones of the normal window (even if it is minimized or maximized).
+     * @returns {{id: string | null, title: string, x: number, y: number, width: number, height: number, status: string, snapZone: string | null}}
+     * The state, that can be converted to JSON. The status is "normal", "minimized", "maximized" or "closed".
+     */
+    serialize() {
+        if (!this.window)
+            throw new Error("The window is not built.");
+        var status = "normal";
+        if (this.isClosed()) {
+            status = "closed";
+        }
+        else if (this.status === 1) {
+            status = "minimized";
+        }
+        else if (this.status === 2) {
+            status = "maximized";
+        }
+        var position = this.window.dragger ? this.window.dragger.getPosition() : { x: 0, y: 0 };
+        var snapZone = this.snapZone;
+        if (this.status === 2 && this.restoreBounds) {
+            position = { x: this.restoreBounds.x, y: this.restoreBounds.y };
+            snapZone = this.restoreBounds.snapZone;
+        }
+        else if (this.status === 1 && this.minimizedBounds) {
+            position = { x: this.minimizedBounds.x, y: this.minimizedBounds.y };
+            snapZone = this.minimizedBounds.snapZone;
+        }
+        return {
+            id: this.id,
+            title: this.title,
+            x: position.x,
+            y: position.y,
+            width: this.width,
+            height: this.height,
+            status: status,
+            snapZone: snapZone,
+        };
+    }
+    /**
+     * Applies a state created by `serialize()`.
+     * @param {WindowState} state The state.
+     * @private
+     */
+    _applyState(state) {
+        if (!this.window)
+            throw new Error("The window is not built.");
+        if (["normal", "minimized", "maximized", "closed"].indexOf(state.status) === -1) {
+            throw new Error('restore(state): the status must be "normal", "minimized", "maximized" or "closed".');
+        }
+        var animations = this.animations;
+        this.animations = false;
+        // we start from a normal window
+        if (this.status === 2)
+            this.restore();
+        if (this.status === 1)
+            this.extend();
+        if (this.isClosed())
+            this.reappear();
+        if (state.id !== undefined)
+            this.id = state.id;
+        if (typeof state.title === "string" && state.title !== this.title)
+            this.setTitle(state.title);
+        if (typeof state.width === "number")
+            this.setWidth(state.width);
+        if (typeof state.height === "number")
+            this.setHeight(state.height);
+        if (this.window.dragger && typeof state.x === "number" && typeof state.y === "number") {
+            this.window.dragger.moveTo(state.x, state.y);
+            this.emit("move", state.x, state.y);
+        }
+        if (state.snapZone)
+            this.snapTo(state.snapZone);
+        // the "before" listeners are not called: the stored state is applied as it is
+        if (state.status === "minimized") {
+            var options = this.minimizationOptions;
+            this._minify(options.xSide, options.ySide, options.posFromX, options.posFromY);
+        }
+        else if (state.status === "maximized") {
+            this.maximize();
+        }
+        else if (state.status === "closed") {
+            this._close();
+        }
+        this.animations = animations;
+    }
+    /**
+     * Sets the identifier of the window, used to save & restore the layout of the windows.
+     * @param {string | null} id The identifier.
+     */
+    setId(id) {
+        this.id = id;
+    }
+    /**
+     * Maximizes the window or restores it if it is already maximized.
+     * @returns {Promise<void>} A promise resolved when the transition has finished.
+     */
+    toggleMaximize() {
+        return this.status === 2 ? this.restore() : this.maximize();
+    }
+    /**
+     * Returns true if the window is maximized.
+     * @returns {boolean} True if the window is maximized.
+     */
+    isMaximized() {
+        return this.status === 2;
+    }
+    /**
+     * The action of the "maximize" button & of a double click on the menu bar:
+     * extends the window if it is minimized, maximizes it or restores it otherwise.
+     * @returns {Promise<void>} A promise resolved when the transition has finished.
+     * @private
+     */
+    _maximizeOrRestore() {
+        return this.status === 1 ? this.extend() : this.toggleMaximize();
+    }
+    /**
+     * Runs an action of the user (a button, a shortcut...) that nobody waits for:
+     * an error of its transition is reported in the console instead of being an unhandled rejection.
+     * @param {Promise<void>} transition The promise returned by the action.
+     * @private
+     */
+    _runUserAction(transition) {
+        transition.catch(function (error) {
+            console.error(error);
+        });
+    }
+    /**
+     * Allows or forbids the maximization of the window.
+     * If the window is built, the "maximize" button is disabled (except when the window is minimized, in order to extend it).
+     * @param {boolean} maximizable True to allow the maximization.
+     */
+    setMaximizable(maximizable) {
+        if (!maximizable && this.status === 2) {
+            this.restore();
+        }
+        this.maximizable = maximizable;
+        if (this.window && this.status === 0 && this.absolutePosition && this.draggable) {
+            maximizable ? this.enableButton("maximize") : this.disableButton("maximize");
+        }
+    }
+    /**
+     * Centers the window in its parent element (in the viewport if the parent element is `document.body`).
+     * This is possible only if the window is draggable.
+     */
+    center() {
+        if (!this.window)
+            throw new Error("The window is not built.");
+        if (!this.window.dragger || this.status !== 0)
+            return;
+        var area = this.getParentArea();
+        var rect = this.window.getBoundingClientRect();
+        this.window.dragger.moveElementTo(area.x + Math.max(0, (area.width - rect.width) / 2), area.y + Math.max(0, (area.height - rect.height) / 2));
+    }
+    /**
+     * Closes the window only if it's not already closed. The window is just hidden with a `display:none`.
+     * The "beforeClose" listeners can cancel this action.
+     * @param {string} confirmation A message to confirm the action in a dialog (see `WindowStructure.confirm()`).
+     * @returns {Promise<void>} A promise resolved when the transition has finished.
+     */
+    close(confirmation) {
+        if (this.isFullscreen) {
+            this.exitFullscreen();
+        }
+        if (!this.isClosed()) {
+            var self = this;
+            return this._runBeforeEvent("beforeClose", function () {
+                if (confirmation) {
+                    return WindowStructure.confirm(confirmation, {
+                        title: self.title,
+                        parent: self.parent,
+                        theme: self.theme,
+                        colors: self.colors,
+                    }).then(function (confirmed) {
+                        if (confirmed)
+                            return self._close();
+                    });
+                }
+                else {
+                    return self._close();
+                }
+            });
+        }
+        return Promise.resolve();
+    }
+    /**
+     * Closes the window once the "beforeClose" listeners have agreed.
+     * @returns {Promise<void>} A promise resolved when the transition has finished.
+     * @private
+     */
+    _close() {
+        if (!this.window || this.isClosed())
+            return Promise.resolve();
+        var self = this;
+        var hidden = function () {
+            if (self.window) {
+                self._updateBackdrop();
+                if (self.manager)
+                    self.manager.blur(self);
+                if (self.manager)
+                    self.manager.refresh();
+                self.emit("close");
+                if (self.modal)
+                    self._returnFocus();
+                for (var child of self.children.slice()) {
+                    if (child.window && !child.isClosed()) {
+                        child.closedWithOwner = true;
+                        child.close();
+                    }
+                }
+            }
+        };
+        // the window is still visible during the animation: `reappear()` cancels it
+        this.closing = true;
+        return this._animateOut(this.window, this.CLOSE_KEYFRAMES, hidden).then(function () {
+            self.closing = false;
+        });
+    }
+    /**
+     * Makes the window reappear after closing it. Restores the normal display value.
+     * @returns {Promise<void>} A promise resolved when the transition has finished.
+     */
+    reappear() {
+        var transition = Promise.resolve();
+        if (!this.isClosed()) {
+            if (this.closing) {
+                // the window is fading out: it stays open
+                this.closing = false;
+                this._cancelAnimation();
+            }
+        }
+        else {
+            if (this.window) {
+                this.window.style.display = "";
+                transition = this._animate(this.CLOSE_KEYFRAMES.slice().reverse()).then(function () { });
+                this.closedWithOwner = false;
+                if (this.modal)
+                    this._showModal();
+                if (this.manager)
+                    this.manager.refresh();
+                this.emit("reappear");
+                for (var child of this.children.slice()) {
+                    if (child.closedWithOwner && child.isClosed()) {
+                        child.reappear();
+                    }
+                }
+            }
+            else {
+                throw new Error("The window is not built.");
+            }
+        }
+        return transition;
+    }
+    /**
+     * Kills the window. This action is irreversible.
+     * The "beforeKill" listeners can cancel this action.
+     * @returns {Promise<void>} A promise resolved once the window is killed (or once the action is cancelled).
+     */
+    kill() {
+        if (!this.window)
+            throw new Error("The window is not built.");
+        var self = this;
+        return this._runBeforeEvent("beforeKill", function () {
+            // the window can be killed while the listeners are waiting
+            if (self.window && !self.killed)
+                self._kill();
+        });
+    }
+    /**
+     * Kills the window once the "beforeKill" listeners have agreed.
+     * @private
+     */
+    _kill() {
+        if (!this.window)
+            throw new Error("The window is not built.");
+        this.killed = true;
+        for (var child of this.children.slice()) {
+            if (child.window)
+                this._killChild(child);
+        }
+        this.setOwner(null);
+        this._removeBackdrop();
+        if (this.modal)
+            this._returnFocus();
+        // the wrapper of the dragger stays even if the window is not draggable anymore
+        var outerElement = this.getOuterElement();
+        if (outerElement.parentNode) {
+            outerElement.parentNode.removeChild(outerElement);
+        }
+        else {
+            throw new Error("Cannot kill the window. The window does not have a parent element.");
+        }
+        if (this.manager) {
+            this.manager.remove(this);
+        }
+        if (this.viewportResizeListener) {
+            window.removeEventListener("resize", this.viewportResizeListener);
+            this.viewportResizeListener = null;
+        }
+        // the content being loaded is ignored
+        this.contentRequest++;
+        this.emit("kill");
+    }
+    /**
+     * Kills a child window with this one. If its "beforeKill" listeners cancel the action,
+     * the child is detached instead, so that it doesn't keep a killed owner.
+     * @param {WindowStructure} child The child window.
+     * @private
+     */
+    _killChild(child) {
+        var self = this;
+        child.kill().then(function () {
+            if (!child.killed && child.owner === self)
+                child.setOwner(null);
+        });
+    }
+    /**
+     * Returns true if the window is close, false otherwise.
+     * @returns {boolean} True if the window is closed.
+     */
+    isClosed() {
+        if (this.window) {
+            return this.window.style.display === "none";
+        }
+        else {
+            throw new Error("The window is not built.");
+        }
+    }
+    /**
+     * Adds a listener to an event.
+     * @param {string} event The name of the event: "minify", "extend", "maximize", "restore", "close", "reappear", "kill",
+     * "move", "resizeStart", "resize", "resizeEnd", "focus", "blur", "titleChange", "fullscreen", "menuSelect",
+     * "tabAdd", "tabRemove", "tabActivate", "tabMove", "tabDetach", "contentReady", "contentError",
+     * or a cancellable event: "beforeMinify", "beforeClose", "beforeKill", "beforeTabClose".
+     * @param {Function} handler The function to call.
+     */
+    on(event, handler) {
+        if (this.EVENT_NAMES.indexOf(event) === -1) {
+            throw new Error('on(event, handler): unknown event "' + event + '".');
+        }
+        if (typeof handler !== "function") {
+            throw new Error("on(event, handler): the handler must be a function.");
+        }
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push({ handler: handler, once: false });
+    }
+    /**
+     * Adds a listener to an event. The listener is removed after its first call.
+     * @param {string} event The name of the event (see `on()`).
+     * @param {Function} handler The function to call.
+     */
+    once(event, handler) {
+        this.on(event, handler);
+        this.listeners[event][this.listeners[event].length - 1].once = true;
+    }
+    /**
+     * Removes a listener. Without a handler, all the listeners of the event are removed.
+     * Without arguments, all the listeners of all the events are removed.
+     * @param {string} event The name of the event.
+     * @param {Function} handler The function to remove.
+     */
+    off(event, handler) {
+        if (event === undefined) {
+            this.listeners = {};
+        }
+        else if (handler === undefined) {
+            delete this.listeners[event];
+        }
+        else if (this.listeners[event]) {
+            this.listeners[event] = this.listeners[event].filter(function (listener) {
+                return listener.handler !== handler;
+            });
+        }
+    }
+    /**
+     * Gets the listener of an event added with one of the deprecated properties like `closeCallback`.
+     * @param {string} event The name of the event.
+     * @returns {Function} The listener, or an empty function.
+     * @private
+     */
+    _getCallbackAlias(event) {
+        return this.callbackAliases[event] || function () { };
+    }
+    /**
+     * Replaces the listener of an event added with one of the deprecated properties like `closeCallback`.
+     * @param {string} event The name of the event.
+     * @param {Function} callback The new listener.
+     * @private
+     */
+    _setCallbackAlias(event, callback) {
+        if (this.callbackAliases[event])
+            this.off(event, this.callbackAliases[event]);
+        delete this.callbackAliases[event];
+        if (typeof callback === "function") {
+            this.callbackAliases[event] = callback;
+            this.on(event, callback);
+        }
+    }
+    /**
+     * Calls the listeners of an event.
+     * @param {string} event The name of the event.
+     * @param {...any} args The arguments given to the listeners.
+     * @returns {Array<any>} The values returned by the listeners.
+     */
+    emit(event, ...args) {
+        var listeners = this.listeners[event];
+        if (!listeners)
+            return [];
+        var results = [];
+        // a listener can remove listeners, so we loop over a copy
+        for (var listener of listeners.slice()) {
+            if (listener.once) {
+                this.off(event, listener.handler);
+            }
+            results.push(listener.handler.apply(this, args));
+        }
+        return results;
+    }
+    /**
+     * Calls the listeners of a cancellable event, then does the action if none of them returned `false`.
+     * If a listener returns a Promise, the action is done once all the promises are resolved.
+     * A rejected promise cancels the action, like `false`.
+     * @param {string} event The name of the event.
+     * @param {Function} action The action to do.
+     * @param {...any} args The arguments given to the listeners.
+     * @returns {Promise<void>} A promise resolved once the action is done (or cancelled).
+     * If the action returns a promise, the returned promise waits for it.
+     * @private
+     */
+    _runBeforeEvent(event, action, ...args) {
+        var results = this.emit(event, ...args);
+        var isAsync = results.some(function (result) {
+            return result && typeof result.then === "function";
+        });
+        if (!isAsync) {
+            return Promise.resolve(results.indexOf(false) === -1 ? action() : undefined);
+        }
+        return Promise.all(results.map(function (result) {
+            return Promise.resolve(result).catch(function () {
+                return false;
+            });
+        })).then(function (values) {
+            if (values.indexOf(false) === -1)
+                return action();
+        });
+    }
+    /**
+     * Adds a function to call every time we minimize the window (same as `on("minify", callback)`).
+     * @param callback The function to call.
+     */
+    onMinify(callback) {
+        this.on("minify", callback);
+    }
+    /**
+     * Adds a function to call every time we extend the window (same as `on("extend", callback)`).
+     * @param callback The function to call.
+     */
+    onExtension(callback) {
+        this.on("extend", callback);
+    }
+    /**
+     * Adds a function to call every time we maximize the window (same as `on("maximize", callback)`).
+     * @param callback The function to call.
+     */
+    onMaximize(callback) {
+        this.on("maximize", callback);
+    }
+    /**
+     * Adds a function to call every time we restore the window after maximizing it (same as `on("restore", callback)`).
+     * @param callback The function to call.
+     */
+    onRestore(callback) {
+        this.on("restore", callback);
+    }
+    /**
+     * Adds a function to call every time we close the window (same as `on("close", callback)`).
+     * @param callback The function to call.
+     */
+    onClose(callback) {
+        this.on("close", callback);
+    }
+    /**
+     * Adds a function to call every time we kill the window (same as `on("kill", callback)`).
+     * @param callback The function to call.
+     */
+    onKill(callback) {
+        this.on("kill", callback);
+    }
+    /**
+     * Adds a function to call when the user starts resizing the window (same as `on("resizeStart", callback)`).
+     * @param callback The function to call. It receives the width & the height of the window.
+     */
+    onResizeStart(callback) {
+        this.on("resizeStart", callback);
+    }
+    /**
+     * Adds a function to call every time the size of the window changes (same as `on("resize", callback)`).
+     * @param callback The function to call. It receives the new width & the new height of the window.
+     */
+    onResize(callback) {
+        this.on("resize", callback);
+    }
+    /**
+     * Adds a function to call when the user stops resizing the window (same as `on("resizeEnd", callback)`).
+     * @param callback The function to call. It receives the final width & the final height of the window.
+     */
+    onResizeEnd(callback) {
+        this.on("resizeEnd", callback);
+    }
+    /**
+     * Gets the outermost element of the window: the wrapper created by `Dragger` if it exists, the window otherwise.
+     * @returns {HTMLElement | null} The outer element or null if the window is not built.
+     */
+    getOuterElement() {
+        if (!this.window)
+            return null;
+        var parent = this.window.parentElement;
+        if (Dragger.isWrapper(parent)) {
+            return parent;
+        }
+        return this.window;
+    }
+    /**
+     * Brings the window to the front & makes it the active window of its manager.
+     */
+    focus() {
+        if (!this.window)
+            throw new Error("The window is not built.");
+        if (this.manager) {
+            this.manager.focus(this);
+        }
+        // the keyboard focus goes in the window too
+        if (!this.window.contains(document.activeElement)) {
+            this.window.focus();
+        }
+    }
+    /**
+     * Keeps the focus inside the window when the user presses Tab (or Shift + Tab), or lets it go.
+     * @param {boolean} focusTrap True to keep the focus inside the window.
+     */
+    setFocusTrap(focusTrap) {
+        this.focusTrap = focusTrap;
+    }
+    /**
+     * Allows or forbids to close the window with Escape.
+     * @param {boolean} closeOnEscape True to close the window with Escape.
+     */
+    setCloseOnEscape(closeOnEscape) {
+        this.closeOnEscape = closeOnEscape;
+    }
+    /**
+     * Enables or disables the keyboard shortcuts of the window (see `keyboardShortcuts`).
+     * @param {boolean} enabled True to enable the shortcuts.
+     * @param {number} step The distance (in px) by which the shortcuts move or resize the window (by default 10).
+     */
+    setKeyboardShortcuts(enabled, step = this.keyboardStep) {
+        this.keyboardShortcuts = enabled;
+        this.keyboardStep = step;
+    }
+    /**
+     * Makes the window modal or not (see `modal`). The minimize button of a modal window is disabled.
+     * @param {boolean} modal True to make the window modal.
+     */
+    setModal(modal) {
+        if (this.modal === modal)
+            return;
+        this.modal = modal;
+        if (!this.window)
+            return;
+        if (modal) {
+            this.window.setAttribute("aria-modal", "true");
+            this.disableButton("minimize");
+            if (!this.isClosed())
+                this._showModal();
+        }
+        else {
+            this.window.removeAttribute("aria-modal");
+            if (this.status !== 1 && this.absolutePosition && this.draggable)
+                this.enableButton("minimize");
+            this._removeBackdrop();
+        }
+        if (this.manager)
+            this.manager.refresh();
+    }
+    /**
+     * Defines the owner of the window (see `owner`).
+     * @param {WindowStructure | null} owner The owner or null to remove it.
+     */
+    setOwner(owner) {
+        for (var ancestor = owner; ancestor !== null; ancestor = ancestor.owner) {
+            if (ancestor === this) {
+                throw new Error("setOwner(owner): a window cannot be owned by itself or by one of its children.");
+            }
+        }
+        if (this.owner) {
+            var index = this.owner.children.indexOf(this);
+            if (index !== -1)
+                this.owner.children.splice(index, 1);
+        }
+        this.owner = owner;
+        if (owner) {
+            owner.children.push(this);
+        }
+        if (this.manager)
+            this.manager.refresh();
+    }
+    /**
+     * Gets the child windows (the windows owned by this one).
+     * @returns {Array<WindowStructure>} The child windows.
+     */
+    getChildren() {
+        return this.children.slice();
+    }
+    /**
+     * Gets the backdrop of the modal window.
+     * @returns {HTMLElement | null} The backdrop or null if the window is not modal (or not built).
+     */
+    getBackdrop() {
+        return this.backdrop;
+    }
+    /**
+     * Displays the backdrop of the modal window, centers it & moves the focus inside it.
+     * @private
+     */
+    _showModal() {
+        if (!this.window)
+            return;
+        var active = document.activeElement;
+        if (active && !this.window.contains(active)) {
+            this.returnFocusTo = active;
+        }
+        if (!this.backdrop) {
+            this.backdrop = document.createElement("div");
+            this.backdrop.className = "window-backdrop";
+            if (this.parent !== document.body) {
+                this.backdrop.style.position = "absolute";
+            }
+        }
+        // the backdrop is just behind the window
+        var outer = this.getOuterElement();
+        this.backdrop.style.zIndex = outer.style.zIndex;
+        this.parent.insertBefore(this.backdrop, outer);
+        this._updateBackdrop();
+        this.center();
+        if (this.manager) {
+            this.focus();
+        }
+        else if (!this.window.contains(document.activeElement)) {
+            this.window.focus();
+        }
+    }
+    /**
+     * Hides the backdrop when the window is minimized or closed, and displays it otherwise.
+     * @private
+     */
+    _updateBackdrop() {
+        if (this.backdrop && this.window) {
+            this.backdrop.style.display = this.status === 1 || this.isClosed() ? "none" : "";
+        }
+    }
+    /**
+     * Removes the backdrop of the modal window.
+     * @private
+     */
+    _removeBackdrop() {
+        if (this.backdrop && this.backdrop.parentNode) {
+            this.backdrop.parentNode.removeChild(this.backdrop);
+        }
+        this.backdrop = null;
+    }
+    /**
+     * Gives the focus back to the element that had it before the modal window was displayed.
+     * @private
+     */
+    _returnFocus() {
+        if (this.returnFocusTo && document.body.contains(this.returnFocusTo)) {
+            this.returnFocusTo.focus();
+        }
+        this.returnFocusTo = null;
+    }
+    /**
+     * Gets the elements of the window that can receive the focus with Tab.
+     * @returns {Array<HTMLElement>} The elements, in the order of the document.
+     * @private
+     */
+    _getFocusableElements() {
+        if (!this.window)
+            return [];
+        var selector = "a[href], area[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), " +
+            'textarea:not([disabled]), iframe, [contenteditable], [tabindex]:not([tabindex="-1"])';
+        var elements = Array.prototype.slice.call(this.window.querySelectorAll(selector));
+        return elements.filter(function (element) {
+            return !element.closest("[hidden]") && element.style.display !== "none";
+        });
+    }
+    /**
+     * Keeps the focus inside the window: Tab on the last element goes back to the first one & vice versa.
+     * @param {KeyboardEvent} e The event of the Tab key.
+     * @private
+     */
+    _trapFocus(e) {
+        if (!this.window)
+            return;
+        var elements = this._getFocusableElements();
+        if (elements.length === 0) {
+            e.preventDefault();
+            this.window.focus();
+            return;
+        }
+        var first = elements[0];
+        var last = elements[elements.length - 1];
+        var active = document.activeElement;
+        if (e.shiftKey && (active === first || active === this.window)) {
+            e.preventDefault();
+            last.focus();
+        }
+        else if (!e.shiftKey && active === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+    /**
+     * Handles the keyboard: Escape, the focus trap & the shortcuts (see `keyboardShortcuts`).
+     * @param {KeyboardEvent} e The event.
+     * @private
+     */
+    _onKeyDown(e) {
+        // the event has already been handled by a window inside this one, or by a dialog
+        if (e.defaultPrevented || !this.window)
+            return;
+        if (e.key === "Escape") {
+            // Escape in a field (an autocomplete, a search field...) belongs to the field
+            if (this.closeOnEscape && !this._isEditable(e.target)) {
+                e.preventDefault();
+                this._runUserAction(this.close());
+            }
+            return;
+        }
+        if (e.key === "Tab") {
+            if (this.focusTrap || this.modal)
+                this._trapFocus(e);
+            return;
+        }
+        if (this._runMenuShortcut(e))
+            return;
+        if (!this.keyboardShortcuts || !e.altKey || e.ctrlKey || e.metaKey)
+            return;
+        var directions = {
+            ArrowLeft: [-1, 0],
+            ArrowRight: [1, 0],
+            ArrowUp: [0, -1],
+            ArrowDown: [0, 1],
+        };
+        if (directions[e.key]) {
+            e.preventDefault();
+            if (this.status !== 0)
+                return;
+            var dx = directions[e.key][0] * this.keyboardStep;
+            var dy = directions[e.key][1] * this.keyboardStep;
+            if (e.shiftKey) {
+                // right & down enlarge the window, left & up shrink it
+                if (this.resizable && this.window.resizer) {
+                    this.window.resizer.resizeBy(dx, dy);
+                }
+            }
+            else if (this.draggable && this.window.dragger && this.window.dragger.isEnabled()) {
+                this.snapZone = null;
+                this.window.dragger.moveBy(dx, dy);
+                var position = this.window.dragger.getPosition();
+                this.emit("move", position.x, position.y);
+            }
+        }
+        else if (e.key === "PageUp") {
+            e.preventDefault();
+            this._runUserAction(this._maximizeOrRestore());
+        }
+        else if (e.key === "PageDown") {
+            e.preventDefault();
+            this._runUserAction(this.status === 0 ? this.minify() : this.status === 2 ? this.restore() : this.extend());
+        }
+    }
+    /**
+     * Returns true if the target of a keyboard event is a field: the keys typed into it are not shortcuts.
+     * @param {EventTarget | null} target The target of the event.
+     * @returns {boolean} True for an input, a textarea, a select or an editable element.
+     * @private
+     */
+    _isEditable(target) {
+        if (!(target instanceof HTMLElement))
+            return false;
+        return target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName);
+    }
+    /**
+     * Returns true if the window is the active window of its manager.
+     * @returns {boolean} True if the window is active.
+     */
+    isActive() {
+        return this.manager !== null && this.manager.getActive() === this;
+    }
+    /**
+     * Defines the manager of the window. Use `null` to handle the stacking order by yourself.
+     * @param {WindowManager | null} manager The new manager.
+     */
+    setManager(manager) {
+        if (this.manager) {
+            this.manager.remove(this);
+        }
+        this.manager = manager;
+        if (this.manager && this.window) {
+            this.manager.add(this);
+        }
+    }
+    /**
+     * Defines the parent element in which to put the window.
+     * @param {HTMLElement} parent The parent element in which to put the window.
+     */
+    setParent(parent) {
+        this.parent = parent;
+    }
+    /**
+     * Makes the window draggable with the chosen drag mode.
+     * @private
+     */
+    _createDragger() {
+        var dragger = new Dragger(this.window, {
+            mode: this.dragMode,
+            handle: ".window-bar",
+            containment: this.containment,
+            axis: this.dragAxis,
+            grid: this.grid,
+        });
+        var self = this;
+        dragger.onDragStart(function (x, y) {
+            // dragging the window away restores its previous size
+            if (self.snapZone !== null) {
+                self._unsnapUnder(x, y);
+            }
+        });
+        dragger.onDragMove(function (x, y) {
+            var zone = self.snapping ? self._getSnapZoneAt(x, y) : null;
+            zone !== null ? self._showSnapPreview(zone) : self._hideSnapPreview();
+        });
+        if (this.dragMode === "native") {
+            // a cancelled drag (Escape) is not dropped
+            this.window.addEventListener("dragend", function () {
+                self._hideSnapPreview();
+            });
+        }
+        dragger.onDragEnd(function (x, y) {
+            self._hideSnapPreview();
+            var zone = self.snapping ? self._getSnapZoneAt(x, y) : null;
+            // the top edge maximizes the window
+            if (zone === "top") {
+                self.maximize();
+            }
+            else if (zone !== null) {
+                self.snapTo(zone);
+            }
+            else {
+                var position = dragger.getPosition();
+                self.emit("move", position.x, position.y);
+            }
+        });
+    }
+    /**
+     * Updates the constraints of the dragger if the window is already draggable.
+     * @private
+     */
+    _updateDragConstraints() {
+        if (this.window && this.window.dragger) {
+            this.window.dragger.setConstraints({ containment: this.containment, axis: this.dragAxis, grid: this.grid });
+        }
+    }
+    /**
+     * Defines the area in which the window has to stay while dragging.
+     * @param {string | HTMLElement | {x: number, y: number, width: number, height: number} | null} containment "parent" (the parent element of the window),
+     * "viewport", an HTML element, a rect relative to the viewport, or null to remove the containment.
+     */
+    setContainment(containment) {
+        if (typeof containment === "string" && containment !== "parent" && containment !== "viewport") {
+            throw new Error('setContainment(containment): the containment must be "parent", "viewport", an HTML element, a rect or null.');
+        }
+        this.containment = containment;
+        this._updateDragConstraints();
+    }
+    /**
+     * Locks the movement of the window to an axis while dragging.
+     * @param {string | null} axis "x", "y" or null to remove the lock.
+     */
+    setDragAxis(axis) {
+        if (axis !== null && axis !== "x" && axis !== "y") {
+            throw new Error('setDragAxis(axis): the axis must be "x", "y" or null.');
+        }
+        this.dragAxis = axis;
+        this._updateDragConstraints();
+    }
+    /**
+     * Snaps the position of the window on a grid while dragging.
+     * @param {number | Array<number> | null} grid The size of the cells (a number or `[x, y]`), or null to remove the grid.
+     */
+    setGrid(grid) {
+        this.grid = grid;
+        this._updateDragConstraints();
+    }
+    /**
+     * Enables or disables the tiling of the window when it is dropped against an edge or a corner of its parent element.
+     * @param {boolean} snapping True to enable the tiling.
+     * @param {number} threshold The distance (in px) from an edge from which the window is tiled (by default 20).
+     */
+    setSnapping(snapping, threshold = this.snapThreshold) {
+        this.snapping = snapping;
+        this.snapThreshold = threshold;
+    }
+    /**
+     * Gets the area of the parent element, in which the window is tiled, maximized & arranged (relative to the viewport).
+     * If the parent element is `document.body`, the area is the viewport.
+     * @returns {{x: number, y: number, width: number, height: number}} The area.
+     */
+    getParentArea() {
+        if (this.parent === document.body) {
+            return {
+                x: 0,
+                y: 0,
+                width: document.documentElement.clientWidth,
+                height: document.documentElement.clientHeight,
+            };
+        }
+        var rect = this.parent.getBoundingClientRect();
+        return {
+            x: rect.left + this.parent.clientLeft,
+            y: rect.top + this.parent.clientTop,
+            width: this.parent.clientWidth,
+            height: this.parent.clientHeight,
+        };
+    }
+    /**
+     * Gets the zone in which the window would be tiled if it was dropped at a given position.
+     * @param {number} x The x position of the pointer relative to the viewport.
+     * @param {number} y The y position of the pointer relative to the viewport.
+     * @returns {string | null} The zone or null if the pointer is not close to an edge.
+     * @private
+     */
+    _getSnapZoneAt(x, y) {
+        var area = this.getParentArea();
+        var left = x <= area.x + this.snapThreshold;
+        var right = x >= area.x + area.width - this.snapThreshold;
+        var top = y <= area.y + this.snapThreshold;
+        var bottom = y >= area.y + area.height - this.snapThreshold;
+        if (top && left)
+            return "top-left";
+        if (top && right)
+            return "top-right";
+        if (bottom && left)
+            return "bottom-left";
+        if (bottom && right)
+            return "bottom-right";
+        if (left)
+            return "left";
+        if (right)
+            return "right";
+        if (top)
+            return "top";
+        return null;
+    }
+    /**
+     * Gets the area (relative to the viewport) of a zone.
+     * @param {string} zone The zone.
+     * @returns {{x: number, y: number, width: number, height: number}} The area of the zone.
+     * @private
+     */
+    _getSnapRect(zone) {
+        var area = this.getParentArea();
+        var halfWidth = area.width / 2;
+        var halfHeight = area.height / 2;
+        switch (zone) {
+            case "left":
+                return { x: area.x, y: area.y, width: halfWidth, height: area.height };
+            case "right":
+                return { x: area.x + halfWidth, y: area.y, width: halfWidth, height: area.height };
+            case "top-left":
+                return { x: area.x, y: area.y, width: halfWidth, height: halfHeight };
+            case "top-right":
+                return { x: area.x + halfWidth, y: area.y, width: halfWidth, height: halfHeight };
+            case "bottom-left":
+                return { x: area.x, y: area.y + halfHeight, width: halfWidth, height: halfHeight };
+            case "bottom-right":
+                return { x: area.x + halfWidth, y: area.y + halfHeight, width: halfWidth, height: halfHeight };
+            case "top":
+                return area;
+            default:
+                throw new Error('The zone must be "left", "right", "top", "top-left", "top-right", "bottom-left" or "bottom-right".');
+        }
+    }
+    /**
+     * Shows the translucent preview of a zone.
+     * @param {string} zone The zone.
+     * @private
+     */
+    _showSnapPreview(zone) {
+        if (!this.window || !this.window.parentElement)
+            return;
+        var wrapper = this.window.parentElement;
+        if (this.snapPreview === null) {
+            this.snapPreview = document.createElement("div");
+            this.snapPreview.className = "window-snap-preview";
+            // same z-index but before the wrapper: the preview is behind the window
+            this.snapPreview.style.zIndex = wrapper.style.zIndex;
+            if (wrapper.parentNode) {
+                wrapper.parentNode.insertBefore(this.snapPreview, wrapper);
+            }
+        }
+        var rect = this._getSnapRect(zone);
+        this.snapPreview.style.left = rect.x + "px";
+        this.snapPreview.style.top = rect.y + "px";
+        this.snapPreview.style.width = rect.width + "px";
+        this.snapPreview.style.height = rect.height + "px";
+    }
+    /**
+     * Hides the preview of a zone.
+     * @private
+     */
+    _hideSnapPreview() {
+        if (this.snapPreview !== null) {
+            if (this.snapPreview.parentNode) {
+                this.snapPreview.parentNode.removeChild(this.snapPreview);
+            }
+            this.snapPreview = null;
+        }
+    }
+    /**
+     * Tiles the window in a zone of its parent element. The previous size (`width` & `height`) is kept
+     * in order to restore it with `unsnap()` or when the window is dragged away.
+     * @param {string} zone "left", "right", "top" (the whole parent element), "top-left", "top-right", "bottom-left" or "bottom-right".
+     */
+    snapTo(zone) {
+        if (!this.window)
+            throw new Error("The window is not built.");
+        if (!this.draggable || this.status !== 0 || !this.window.dragger)
+            return;
+        var rect = this._getSnapRect(zone);
+        this.window.style.width = rect.width + "px";
+        this.window.style.height = rect.height + "px";
+        this.window.dragger.moveElementTo(rect.x, rect.y);
+        this.snapZone = zone;
+        var position = this.window.dragger.getPosition();
+        this.emit("move", position.x, position.y);
+        this.emit("resize", rect.width, rect.height);
+    }
+    /**
+     * Moves & resizes the window like the user would do: the size is limited by the minimum & the maximum sizes,
+     * and the events "move", "resizeStart", "resize" & "resizeEnd" are emitted.
+     * This is possible only if the window is draggable & neither minimized nor maximized.
+     * @param {number} x The new left position of the window in the viewport.
+     * @param {number} y The new top position of the window in the viewport.
+     * @param {number} width The new width.
+     * @param {number} height The new height.
+     */
+    setBounds(x, y, width, height) {
+        if (!this.window)
+            throw new Error("The window is not built.");
+        if (!this.draggable || this.status !== 0 || !this.window.dragger)
+            return;
+        width = Math.min(Math.max(width, this.minWidth), this.maxWidth);
+        height = Math.min(Math.max(height, this.minHeight), this.maxHeight);
+        this.emit("resizeStart", this.width, this.height);
+        this.width = width;
+        this.height = height;
+        this.snapZone = null;
+        this.window.style.width = width + "px";
+        this.window.style.height = height + "px";
+        this.window.dragger.moveElementTo(x, y);
+        var position = this.window.dragger.getPosition();
+        this.emit("move", position.x, position.y);
+        this.emit("resize", width, height);
+        this.emit("resizeEnd", width, height);
+    }
+    /**
+     * Restores the previous size of the window if it is tiled. The window keeps its position.
+     */
+    unsnap() {
+        if (!this.window)
+            throw new Error("The window is not built.");
+        if (this.snapZone === null)
+            return;
+        this.snapZone = null;
+        this.window.style.width = this.width + "px";
+        this.window.style.height = this.height + "px";
+        this.emit("resize", this.width, this.height);
+    }
+    /**
+     * Restores the previous size of the window when we start dragging it.
+     * The pointer keeps its relative position in the menu bar.
+     * @param {number} x The x position of the pointer relative to the viewport.
+     * @param {number} y The y position of the pointer relative to the viewport.
+     * @private
+     */
+    _unsnapUnder(x, y) {
+        if (!this.window)
+            return;
+        var rect = this.window.getBoundingClientRect();
+        var ratio = rect.width > 0 ? (x - rect.left) / rect.width : 0;
+        this.unsnap();
+        if (this.window.dragger) {
+            this.window.dragger.moveElementTo(x - ratio * this.width, rect.top);
+        }
+    }
+    /**
+     * Sets the drag mode of the window (to call before `build()`).
+     * @param {string} mode "pointer" (by default) to move the window live from its menu bar (mouse, touch & pen),
+     * or "native" to use the HTML5 drag and drop.
+     */
+    setDragMode(mode) {
+        if (mode !== "pointer" && mode !== "native") {
+            throw new Error('setDragMode(mode): the mode must be "pointer" or "native".');
+        }
+        this.dragMode = mode;
+    }
+    /**
+     * Makes the window draggable or not.
+     * @param {boolean} draggable True to make the window draggable.
+     */
+    setDraggable(draggable) {
+        if (draggable === false) {
+            if (this.status === 1) {
+                this.extend();
+            }
+            else if (this.status === 2) {
+                this.restore();
+            }
+            // if the draggable property is already set to true
+            this._hideDraggable();
+            // disable it
+            this.draggable = false;
+            this._disableAbsolutePosition();
+        }
+        else if (draggable === true) {
+            // if this is the first time that we set the draggable property to true
+            // & if we do it after `build()`:
+            if (this.window && this.window.parentElement) {
+                var parent = this.window.parentElement;
+                if (!Dragger.isWrapper(parent)) {
+                    this._createDragger();
+                    // the z-index is applied to the new wrapper
+                    if (this.manager)
+                        this.manager.add(this);
+                }
+            }
+            this.draggable = true;
+            this._enableAbsolutePosition();
+            this._resetDraggable();
+        }
+    }
+    /**
+     * Creates the resize handles of the window.
+     * @private
+     */
+    _createResizer() {
+        var resizer = new Resizer(this.window, {
+            minWidth: this.minWidth,
+            minHeight: this.minHeight,
+            maxWidth: this.maxWidth,
+            maxHeight: this.maxHeight,
+            aspectRatio: this.aspectRatio,
+        });
+        var self = this;
+        resizer.onResizeStart(function (width, height) {
+            self.emit("resizeStart", width, height);
+        });
+        resizer.onResize(function (width, height) {
+            // the window is not tiled anymore
+            self.snapZone = null;
+            self.width = width;
+            self.height = height;
+            self.emit("resize", width, height);
+        });
+        resizer.onResizeEnd(function (width, height) {
+            self.emit("resizeEnd", width, height);
+        });
+    }
+    /**
+     * Updates the limits of the resize handles if the window is already resizable.
+     * @private
+     */
+    _updateResizeLimits() {
+        if (this.window && this.window.resizer) {
+            this.window.resizer.setLimits({
+                minWidth: this.minWidth,
+                minHeight: this.minHeight,
+                maxWidth: this.maxWidth,
+                maxHeight: this.maxHeight,
+                aspectRatio: this.aspectRatio,
+            });
+        }
+    }
+    /**
+     * Makes the window resizable or not.
+     * If the window is minimized (status === 1), then `extend()` is called.
+     * @param {boolean} resizable True to make the window resizable.
+     */
+    setResizable(resizable) {
+        if (this.status === 1) {
+            this.extend();
+        }
+        if (resizable === true) {
+            this.resizable = true;
+            // the resize handles are enabled when the window is restored
+            if (this.window && this.status !== 2) {
+                this.window.resizer ? this.window.resizer.enable() : this._createResizer();
+            }
+        }
+        else if (resizable === false) {
+            this.resizable = false;
+            if (this.window && this.window.resizer) {
+                this.window.resizer.disable();
+            }
+        }
+    }
+    /**
+     * Sets the title of the window (in the menu bar).
+     * @param {string} title The new title of the window.
+     */
+    setTitle(title) {
+        this.title = title;
+        if (this.window) {
+            this._updateTitleElement();
+            if (this.manager)
+                this.manager.refresh();
+        }
+        this.emit("titleChange", this.title);
+    }
+    /**
+     * Sets the width of the window. If the window is built, the "resize" event is emitted.
+     * @param {number} width The width of the window.
+     */
+    setWidth(width) {
+        this.width = width;
+        this.snapZone = null;
+        if (this.window) {
+            this.window.style.width = this.width + "px";
+            this.emit("resize", this.width, this.height);
+        }
+    }
+    /**
+     * Sets the height of the window. If the window is built, the "resize" event is emitted.
+     * @param {number} height The height of the window.
+     */
+    setHeight(height) {
+        this.height = height;
+        this.snapZone = null;
+        if (this.window) {
+            this.window.style.height = this.height + "px";
+            this.emit("resize", this.width, this.height);
+        }
+    }
+    /**
+     * Sets the minimum width of the window.
+     * @param {number} minWidth The minimum width.
+     */
+    setMinWidth(minWidth) {
+        this.minWidth = minWidth;
+        this._updateResizeLimits();
+        if (this.window) {
+            this.window.style.minWidth = this.minWidth + "px";
+        }
+    }
+    /**
+     * Sets the minimum height of the window.
+     * @param {number} minHeight The minimum height.
+     */
+    setMinHeight(minHeight) {
+        this.minHeight = minHeight;
+        this._updateResizeLimits();
+        if (this.window) {
+            this.window.style.minHeight = this.minHeight + "px";
+        }
+    }
+    /**
+     * Sets the maximum width of the window.
+     * @param {number} maxWidth The maximum width (Infinity to remove the limit).
+     */
+    setMaxWidth(maxWidth) {
+        this.maxWidth = maxWidth;
+        this._updateResizeLimits();
+        if (this.window) {
+            this.window.style.maxWidth = isFinite(this.maxWidth) ? this.maxWidth + "px" : "";
+        }
+    }
+    /**
+     * Sets the maximum height of the window.
+     * @param {number} maxHeight The maximum height (Infinity to remove the limit).
+     */
+    setMaxHeight(maxHeight) {
+        this.maxHeight = maxHeight;
+        this._updateResizeLimits();
+        if (this.window) {
+            this.window.style.maxHeight = isFinite(this.maxHeight) ? this.maxHeight + "px" : "";
+        }
+    }
+    /**
+     * Sets the ratio width / height to keep while resizing the window.
+     * @param {number | null} aspectRatio The ratio (for example 16 / 9), or null to resize freely.
+     */
+    setAspectRatio(aspectRatio) {
+        if (aspectRatio !== null && !(aspectRatio > 0)) {
+            throw new Error("setAspectRatio(aspectRatio): the ratio must be a positive number or null.");
+        }
+        this.aspectRatio = aspectRatio;
+        this._updateResizeLimits();
+    }
+    /**
+     * Applies to the window the general styles.
+     */
+    applyStyles() {
+        if (this.window) {
+            this.window.style.minWidth = this.minWidth + "px";
+            this.window.style.minHeight = this.minHeight + "px";
+            this.window.style.maxWidth = isFinite(this.maxWidth) ? this.maxWidth + "px" : "";
+            this.window.style.maxHeight = isFinite(this.maxHeight) ? this.maxHeight + "px" : "";
+            this._applyTheme();
+        }
+        else {
+            throw new Error("The window is not built.");
+        }
+    }
+    /**
+     * Defines the theme of the window. The change is immediate, `applyStyles()` is not required.
+     * @param {string | WindowTheme | null} theme The name of a preset: "classic", "light", "dark", "high-contrast"
+     * or "auto" (light or dark according to `prefers-color-scheme`). A custom theme is an object whose properties
+     * override the inherited theme: `text`, `background`, `menubarBackground`, `menubarColor`, `buttonColor`, `buttonHover`,
+     * `closeButtonHover`, `border`, `radius`, `shadow`, `fontFamily`, `fontSize`, `titleFontSize` & `barHeight` (CSS values).
+     * Null to inherit the theme of the page.
+     */
+    setTheme(theme) {
+        if (typeof theme === "string" && this.THEME_NAMES.indexOf(theme) === -1) {
+            throw new Error('setTheme(theme): the theme must be "classic", "light", "dark", "high-contrast", "auto", an object or null.');
+        }
+        this.theme = theme;
+        if (this.window) {
+            this._applyTheme();
+        }
+    }
+    /**
+     * Applies the theme & the colors to the window with CSS custom properties.
+     * A preset is applied with the attribute `data-window-theme` (see the CSS file).
+     * @private
+     */
+    _applyTheme() {
+        if (!this.window)
+            return;
+        for (var property in this.THEME_PROPERTIES) {
+            this.window.style.removeProperty(this.THEME_PROPERTIES[property]);
+        }
+        if (typeof this.theme === "string") {
+            this.window.setAttribute("data-window-theme", this.theme);
+        }
+        else {
+            this.window.removeAttribute("data-window-theme");
+        }
+        // the colors override the theme
+        var values = {};
+        if (this.theme !== null && typeof this.theme === "object") {
+            for (var property in this.theme) {
+                values[property] = this.theme[property];
+            }
+        }
+        for (var property in this.colors) {
+            values[property] = this.colors[property];
+        }
+        for (var property in values) {
+            var value = values[property];
+            if (this.THEME_PROPERTIES[property] && value) {
+                this.window.style.setProperty(this.THEME_PROPERTIES[property], value);
+            }
+        }
+    }
+    /**
+     * Turns the elements with a `data-window` attribute into windows. The options are read from the other
+     * `data-*` attributes (`data-title`, `data-width`, `data-min-width`, `data-draggable="false"`, `data-theme`...),
+     * with the same names as the options of the constructor. The objects & the arrays are written in JSON,
+     * and `data-parent` is a CSS selector (by default the parent element of the element).
+     * The children of the element become the body of the window, and the element is replaced by the window
+     * (or removed if the window is in another parent).
+     * All the elements are checked before the first window is built: if an attribute is not valid, the error names
+     * the attribute & the element, and none of the elements is turned into a window.
+     * @param {ParentNode} root The element in which to search (by default the whole document).
+     * @returns {Array<WindowStructure>} The built windows.
+     * @static
+     */
+    static autoInit(root = document) {
+        var elements = root.querySelectorAll("[data-window]");
+        var pending = [];
+        for (var i = 0; i < elements.length; i++) {
+            var element = elements[i];
+            var name = "<" + element.tagName.toLowerCase() + (element.id ? ' id="' + element.id + '"' : "") + ">";
+            var options = {};
+            for (var option in element.dataset) {
+                var type = WindowStructure.OPTION_TYPES[option];
+                // the other data attributes don't belong to the window
+                if (type === undefined)
+                    continue;
+                var attribute = "data-" +
+                    option.replace(/[A-Z]/g, function (letter) {
+                        return "-" + letter.toLowerCase();
+                    });
+                var value = element.dataset[option];
+                type = type.replace("?", "");
+                if (type === "size" || type === "number") {
+                    options[option] = value.trim() === "" ? NaN : Number(value);
+                }
+                else if (type === "boolean") {
+                    options[option] = value === "" || value === "true" ? true : value === "false" ? false : value;
+                }
+                else if (type === "grid") {
+                    options[option] = value.indexOf(",") !== -1 ? value.split(",").map(Number) : Number(value);
+                }
+                else if (type === "element") {
+                    options[option] = document.querySelector(value);
+                    if (options[option] === null) {
+                        throw new Error('autoInit(): the attribute "' +
+                            attribute +
+                            '" of ' +
+                            name +
+                            ' matches no element ("' +
+                            value +
+                            '").');
+                    }
+                }
+                else if (type === "object" ||
+                    type === "array" ||
+                    (type === "any" && value.trim().charAt(0) === "{")) {
+                    try {
+                        options[option] = JSON.parse(value);
+                    }
+                    catch (e) {
+                        throw new Error('autoInit(): the attribute "' + attribute + '" of ' + name + " is not valid JSON.");
+                    }
+                }
+                else {
+                    options[option] = value;
+                }
+                try {
+                    WindowStructure._checkOption(option, options[option]);
+                }
+                catch (e) {
+                    throw new Error('autoInit(): the attribute "' +
+                        attribute +
+                        '" of ' +
+                        name +
+                        " is not valid, " +
+                        e.message.replace("WindowStructure(options): ", ""));
+                }
+            }
+            if (options.parent === undefined && element.parentElement) {
+                options.parent = element.parentElement;
+            }
+            // the windows are created now & built only once all the elements are valid
+            try {
+                pending.push(new WindowStructure(options));
+            }
+            catch (e) {
+                throw new Error("autoInit(): the attributes of " +
+                    name +
+                    " are not valid, " +
+                    e.message.replace(/^\w+\(\w*\): /, ""));
+            }
+        }
+        var structures = [];
+        for (var i = 0; i < elements.length; i++) {
+            var element = elements[i];
+            var structure = pending[i];
+            structure.build();
+            // the window takes the place of the element
+            if (element.parentNode === structure.parent) {
+                structure.parent.insertBefore(structure.getOuterElement(), element);
+            }
+            var body = structure.window.querySelector(".window-body");
+            while (element.firstChild) {
+                body.appendChild(element.firstChild);
+            }
+            if (element.parentNode)
+                element.parentNode.removeChild(element);
+            structures.push(structure);
+        }
+        return structures;
+    }
+    /**
+     * Displays a message in a dialog.
+     * @param {string} message The message.
+     * @param {{title: string, parent: HTMLElement, theme: any, colors: any, okLabel: string}} options The title of the dialog (by default "Alert"),
+     * its parent element (by default `document.body`), its theme, its colors & the label of the button (by default "OK").
+     * @returns {Promise<void>} A promise resolved when the dialog is closed.
+     * @static
+     */
+    static alert(message, options = {}) {
+        return WindowStructure._dialog("alert", message, options).then(function () { });
+    }
+    /**
+     * Asks the user to confirm an action in a dialog.
+     * @param {string} message The message.
+     * @param {{title: string, parent: HTMLElement, theme: any, colors: any, okLabel: string, cancelLabel: string}} options The title of the dialog
+     * (by default "Confirm"), its parent element (by default `document.body`), its theme, its colors & the labels of the buttons (by default "OK" & "Cancel").
+     * @returns {Promise<boolean>} A promise resolved with true if the user confirmed, false otherwise.
+     * @static
+     */
+    static confirm(message, options = {}) {
+        return WindowStructure._dialog("confirm", message, options).then(function (value) {
+            return value === true;
+        });
+    }
+    /**
+     * Asks the user to type a value in a dialog.
+     * @param {string} message The message.
+     * @param {string} defaultValue The default value of the field.
+     * @param {{title: string, parent: HTMLElement, theme: any, colors: any, okLabel: string, cancelLabel: string}} options The title of the dialog
+     * (by default "Prompt"), its parent element (by default `document.body`), its theme, its colors & the labels of the buttons (by default "OK" & "Cancel").
+     * @returns {Promise<string | null>} A promise resolved with the value, or null if the user cancelled.
+     * @static
+     */
+    static prompt(message, defaultValue = "", options = {}) {
+        return WindowStructure._dialog("prompt", message, options, defaultValue);
+    }
+    /**
+     * Creates a dialog. The dialog is a small modal window.
+     * Enter validates the dialog & Escape cancels it.
+     * @param {string} type "alert", "confirm" or "prompt".
+     * @param {string} message The message.
+     * @param {DialogOptions} options The options of the dialog.
+     * @param {string} defaultValue The default value of the field ("prompt" only).
+     * @returns {Promise<any>} A promise resolved with true (alert & confirm) or the value (prompt) when the user validates,
+     * false (confirm) or null (prompt) when the user cancels.
+     * @private
+     * @static
+     */
+    static _dialog(type, message, options, defaultValue = "") {
+        var defaultTitles = { alert: "Alert", confirm: "Confirm", prompt: "Prompt" };
+        var parent = options.parent || document.body;
+        var cancelValue = type === "prompt" ? null : false;
+        return new Promise(function (resolve) {
+            var dialog = new WindowStructure(options.title || defaultTitles[type], 360, 170, true, false, parent);
+            dialog.setMinWidth(200);
+            dialog.setMinHeight(120);
+            dialog.setMaximizable(false);
+            dialog.setModal(true);
+            if (options.theme !== undefined) {
+                dialog.theme = options.theme;
+            }
+            if (options.colors) {
+                dialog.colors = options.colors;
+            }
+            var finished = false;
+            var finish = function (value) {
+                if (finished)
+                    return;
+                finished = true;
+                dialog.kill();
+                resolve(value);
+            };
+            var validate = function () {
+                if (type === "prompt") {
+                    var input = dialog.window.querySelector(".window-dialog-input");
+                    finish(input.value);
+                }
+                else {
+                    finish(true);
+                }
+            };
+            var cancel = function () {
+                finish(cancelValue);
+            };
+            dialog.builder.bindEvent({ name: "dialogOk", type: "click", callback: validate });
+            dialog.builder.bindEvent({ name: "dialogCancel", type: "click", callback: cancel });
+            // the close button cancels the dialog
+            dialog.on("close", cancel);
+            var template = "p.window-dialog-message\n";
+            if (type === "prompt") {
+                template += "input.window-dialog-input[type=text]\n";
+            }
+            template += "div.window-dialog-buttons\n";
+            if (type !== "alert") {
+                template += ">button.window-dialog-cancel[type=button]@dialogCancel\n";
+            }
+            template += ">button.window-dialog-ok[type=button]@dialogOk";
+            dialog.build(template);
+            var element = dialog.window;
+            element.classList.add("window-dialog");
+            element.setAttribute("role", "alertdialog");
+            // the texts are set afterwards because they can contain characters used by the syntax of HTMLBuilder
+            var messageElement = element.querySelector(".window-dialog-message");
+            messageElement.textContent = message;
+            messageElement.id = element.id + "-message";
+            element.setAttribute("aria-describedby", messageElement.id);
+            element.querySelector(".window-dialog-ok").textContent = options.okLabel || "OK";
+            var cancelButton = element.querySelector(".window-dialog-cancel");
+            if (cancelButton) {
+                cancelButton.textContent = options.cancelLabel || "Cancel";
+            }
+            element.addEventListener("keydown", function (e) {
+                // a focused button (like "Cancel") handles Enter with its own click
+                if (e.key === "Enter" && !e.target.closest("button")) {
+                    e.preventDefault();
+                    validate();
+                }
+                else if (e.key === "Escape") {
+                    e.preventDefault();
+                    cancel();
+                }
+            });
+            var input = element.querySelector(".window-dialog-input");
+            if (input) {
+                input.value = defaultValue;
+                input.focus();
+                input.select();
+            }
+            else {
+                element.querySelector(".window-dialog-ok").focus();
+            }
+        });
+    }
+    /**
+     * Updates the placeholders of the templates generated with data (see `build()`).
+     * The elements are not recreated, so they keep their listeners.
+     * @param {Object} data The new values (merged with the previous data).
+     */
+    update(data) {
+        this.builder.update(data);
+    }
+    /**
+     * Gets the template of the window.
+     * @param {string} bodyTemplate The body template.
+     * @param {boolean} markup Is it for `renderToString()`? In this case, the size, the theme & the buttons
+     * (otherwise added with the DOM) are in the template.
+     * @returns {string} The template.
+     * @private
+     */
+    _getTemplate(bodyTemplate, markup = false) {
+        var attributes = "role=dialog; aria-labelledby=" + this.key + "-title; tabindex=-1";
+        var buttons = "";
+        if (markup) {
+            attributes += '; style="width: ' + this.width + "px; height: " + this.height + 'px"';
+            if (typeof this.theme === "string")
+                attributes += "; data-window-theme=" + this.theme;
+            for (var button of this.buttons) {
+                buttons += this._getButtonTemplate(button) + "\n";
+            }
+        }
+        var maintemplate = `
+			div.window#${this.key}[${attributes}]
+				>div.window-bar
+					>>div.window-container-title
+						>>>span.window-title#${this.key}-title(${HTMLBuilder.escape(this.title)})
+					>>div.window-tabs[role=tablist; hidden]
+					>>div.window-main-buttons
+${buttons}				>div.window-menubar[role=menubar; hidden]
+				>div.window-body
+		`;
+        if (bodyTemplate.length > 0) {
+            maintemplate += this.builder.indentTemplate(bodyTemplate, 2);
+        }
+        return maintemplate;
+    }
+    /**
+     * Builds the window.
+     * @param {string} bodyTemplate The body template to generate (it has to correspond with the HTMLBuilder syntax).
+     * @param {Object} data The values of the placeholders of the template, like `span({{count}})` (see `update()`).
+     */
+    build(bodyTemplate = "", data) {
+        this._build(bodyTemplate, data, null);
+    }
+    /**
+     * Renders the markup of the window, without a DOM (for example on a server). In the browser, `hydrate()` makes
+     * this markup a working window. The menu bar, the tabs & the resize handles are created by the hydration.
+     * @param {string} bodyTemplate The body template (it has to correspond with the HTMLBuilder syntax).
+     * @param {Object} data The values of the placeholders of the template.
+     * @returns {string} The HTML markup of the window.
+     */
+    renderToString(bodyTemplate = "", data) {
+        var html = HTMLBuilder.renderToString(this._getTemplate(bodyTemplate, true), data);
+        // the wrapper of the dragger
+        return this.draggable ? Dragger.WRAPPER_MARKUP + html + "</div>" : html;
+    }
+    /**
+     * Builds the window from its markup rendered by `renderToString()`, instead of generating it again:
+     * the listeners, the buttons & the dragger are attached to the existing elements.
+     * The window must have the same options, and the template & the data must be the same.
+     * @param {HTMLElement} element The pre-rendered window (the element with the class "window").
+     * @param {string} bodyTemplate The body template given to `renderToString()`.
+     * @param {Object} data The data given to `renderToString()`.
+     */
+    hydrate(element, bodyTemplate = "", data) {
+        if (!element || !element.classList.contains("window") || !element.id || !element.parentElement) {
+            throw new Error("hydrate(element): the element must be a window rendered by renderToString().");
+        }
+        this._build(bodyTemplate, data, element);
+    }
+    /**
+     * Builds the window, or hydrates its pre-rendered markup.
+     * @param {string} bodyTemplate The body template.
+     * @param {Object} data The values of the placeholders of the template.
+     * @param {HTMLElement | null} element The pre-rendered window, or null to generate it.
+     * @private
+     */
+    _build(bodyTemplate, data, element) {
+        if (element) {
+            var container = element.parentElement;
+            // the IDs of the markup
+            this.key = element.id;
+            this.parent = Dragger.isWrapper(container) ? container.parentElement : container;
+            this.builder.setParent(container);
+            this.builder.hydrate(this._getTemplate(bodyTemplate, true), data, element);
+            this.window = element;
+            var buttons = element.querySelectorAll(".window-main-buttons > [data-button]");
+            for (var i = 0; i < buttons.length; i++) {
+                this._listenToButton(buttons[i]);
+            }
+        }
+        else {
+            this.builder.setParent(this.parent);
+            this.builder.generate(this._getTemplate(bodyTemplate), data);
+            this.window = document.querySelector("#" + this.key);
+        }
+        this._renderButtons();
+        this._renderMenu();
+        // the tabs added before `build()`
+        var body = this.window.querySelector(".window-body");
+        for (var tab of this.tabs) {
+            body.appendChild(tab.panel);
+        }
+        this._renderTabs();
+        // we don't want to reset the width & the height when calling `applyStyles()`
+        this.window.style.height = this.height + "px";
+        this.window.style.width = this.width + "px";
+        // apply the general styles
+        this.applyStyles();
+        this.setResizable(this.resizable);
+        if (this.draggable === true) {
+            this._createDragger();
+        }
+        else {
+            this.disableButton("minimize");
+            this.disableButton("maximize");
+        }
+        if (!this.maximizable) {
+            this.disableButton("maximize");
+        }
+        if (this.modal) {
+            this.window.setAttribute("aria-modal", "true");
+            this.disableButton("minimize");
+        }
+        var self = this;
+        // a double click on the menu bar maximizes or restores the window
+        var menubar = this.window.querySelector(".window-bar");
+        menubar.addEventListener("dblclick", function (e) {
+            var target = e.target;
+            if (!target.closest("button, .window-tab")) {
+                self._runUserAction(self._maximizeOrRestore());
+            }
+        });
+        var strip = this.window.querySelector(".window-tabs");
+        strip.addEventListener("keydown", function (e) {
+            self._onTabKeyDown(e);
+        });
+        strip.addEventListener("pointermove", function (e) {
+            self._onTabPointerMove(e);
+        });
+        strip.addEventListener("pointerup", function (e) {
+            self._onTabPointerUp(e);
+        });
+        strip.addEventListener("pointercancel", function (e) {
+            self._onTabPointerUp(e);
+        });
+        // a maximized window follows the size of the viewport
+        this.viewportResizeListener = function () {
+            if (self.status === 2) {
+                self._fillParent();
+            }
+            else if (self.modal) {
+                self.center();
+            }
+        };
+        window.addEventListener("resize", this.viewportResizeListener);
+        // brings the window to the front when we click on it (or when we start dragging it)
+        this.window.addEventListener("pointerdown", function () {
+            if (self.manager)
+                self.manager.focus(self);
+        });
+        // same thing when the keyboard focus enters the window
+        this.window.addEventListener("focusin", function () {
+            if (self.manager && self.manager.getActive() !== self)
+                self.manager.focus(self);
+        });
+        this.window.addEventListener("keydown", function (e) {
+            self._onKeyDown(e);
+        });
+        var menubarElement = this.window.querySelector(".window-menubar");
+        menubarElement.addEventListener("keydown", function (e) {
+            self._onMenuKeyDown(e);
+        });
+        menubarElement.addEventListener("mouseover", function (e) {
+            self._onMenuHover(e);
+        });
+        // the menus are closed when the focus leaves the menu bar
+        menubarElement.addEventListener("focusout", function (e) {
+            if (!menubarElement.contains(e.relatedTarget)) {
+                self._closeMenus(0);
+            }
+        });
+        if (this.manager) {
+            this.manager.add(this);
+            this.manager.focus(this);
+        }
+        if (this.modal) {
+            this._showModal();
+        }
+        else if (this.initialPosition === "center") {
+            this.center();
+        }
+        else if (this.initialPosition !== null && this.window.dragger) {
+            this.window.dragger.moveTo(this.initialPosition.x, this.initialPosition.y);
+        }
+        if (this.contentSource !== null) {
+            this._loadContent();
+        }
+    }
+}
+/**
+ * The type of each option of the constructor (see `WindowOptions`). A "?" allows null.
+ * @private
+ * @static
+ */
+WindowStructure.OPTION_TYPES = {
+    title: "string",
+    id: "string?",
+    width: "size",
+    height: "size",
+    minWidth: "size",
+    minHeight: "size",
+    maxWidth: "size",
+    maxHeight: "size",
+    aspectRatio: "size?",
+    x: "number",
+    y: "number",
+    center: "boolean",
+    parent: "element",
+    draggable: "boolean",
+    resizable: "boolean",
+    maximizable: "boolean",
+    dragMode: "string",
+    containment: "any",
+    dragAxis: "string?",
+    grid: "grid?",
+    snapping: "boolean",
+    snapThreshold: "size",
+    focusTrap: "boolean",
+    closeOnEscape: "boolean",
+    keyboardShortcuts: "boolean",
+    keyboardStep: "size",
+    modal: "boolean",
+    owner: "window?",
+    manager: "manager?",
+    theme: "any",
+    colors: "object",
+    minimizationOptions: "object",
+    buttons: "array",
+    menu: "array?",
+    tabs: "array",
+    tabStrip: "boolean",
+    animations: "boolean",
+    animationDuration: "number",
+    animationEasing: "string",
+    content: "any",
+};
+/*
+ *
+ * WindowManager
+ *
+ */
+/**
+ * Keeps track of several windows in order to manage their stacking order & the active window.
+ * @class
+ */
+class WindowManager {
+    constructor() {
+        /**
+         * The z-index of the window at the bottom of the stack.
+         * @type {number}
+         * @default 999
+         * @public
+         */
+        this.baseZIndex = 999;
         /**
-         * True if the window is in fullscreen.
-         * @type {boolean}
-         * @default false
-         * @private
+         * A function to call every time a window gets the focus.
+         * @type {Function}
+         * @public
          */
-        this.isFullscreen = false;
+        this.focusCallback = function () { };
         /**
-         * An instance of HTMLBuilder.
-         * {@link https://github.com/CodoPixel/HTMLBuilder}
-         * @type {HTMLBuilder}
+         * The managed windows, sorted by stacking order (the last one is on top).
+         * @type {Array<WindowStructure>}
          * @private
          */
-        this.builder = new HTMLBuilder();
+        this.windows = [];
         /**
-         * The window ID. This ID is unique and thanks to it, we can create several windows without conflict.
-         * @type {string}
+         * The active window.
+         * @type {WindowStructure | null}
+         * @default null
          * @private
          */
-        this.key = "";
-        this._genKey();
-        this.title = title.trim();
-        this.width = width;
-        this.height = height;
-        this.draggable = draggable;
-        this.resizable = resizable;
-        this.parent = parent;
-        var self = this;
-        this.builder.bindEvent({
-            name: "minify",
-            type: "click",
-            callback: function (e) {
-                self.minify();
-            },
-        });
-        this.builder.bindEvent({
-            name: "extend",
-            type: "click",
-            callback: function (e) {
-                self.extend();
-            },
-        });
-        this.builder.bindEvent({
-            name: "close",
-            type: "click",
-            callback: function (e) {
-                self.close();
-            },
-        });
+        this.active = null;
+        /**
+         * The taskbar in which the windows are listed.
+         * @type {Taskbar | null}
+         * @default null
+         * @public
+         */
+        this.taskbar = null;
     }
     /**
-     * Generates the random ID of the window.
+     * Applies the z-index of every window according to the stacking order.
      * @private
      */
-    _genKey() {
-        var generatedKey = "windowkey-";
-        for (var i = 0; i < 6; i++) {
-            var min = Math.ceil(0);
-            var max = Math.floor(10);
-            var random = Math.floor(Math.random() * (max - min)) + min;
-            generatedKey += random;
+    _applyZIndexes() {
+        this._sortWindows();
+        for (var i = 0; i < this.windows.length; i++) {
+            var outer = this.windows[i].getOuterElement();
+            if (outer) {
+                outer.style.zIndex = (this.baseZIndex + i).toString();
+            }
+            var backdrop = this.windows[i].getBackdrop();
+            if (backdrop) {
+                backdrop.style.zIndex = (this.baseZIndex + i).toString();
+            }
         }
-        this.key = generatedKey;
     }
     /**
-     * Disables the absolute position of the window.
-     * This action deactivates the button 0 in the menu bar.
+     * Sorts the windows by stacking order, without changing the order of the windows of a same level:
+     * the child windows go just above their owner & the modal windows go above all the others.
+     * @private
      */
-    _disableAbsolutePosition() {
-        this.absolutePosition = false;
-        if (this.window) {
-            this.disableButton(0);
+    _sortWindows() {
+        var windows = this.windows;
+        // a modal window is on top even if it has an owner
+        var isRoot = function (structure) {
+            return structure.modal || structure.owner === null || windows.indexOf(structure.owner) === -1;
+        };
+        var sorted = [];
+        var addWithChildren = function (structure) {
+            sorted.push(structure);
+            for (var child of windows) {
+                if (child.owner === structure && !isRoot(child))
+                    addWithChildren(child);
+            }
+        };
+        for (var structure of windows) {
+            if (isRoot(structure) && !structure.modal)
+                addWithChildren(structure);
+        }
+        for (var structure of windows) {
+            if (isRoot(structure) && structure.modal)
+                addWithChildren(structure);
         }
+        this.windows = sorted;
     }
     /**
-     * Enables the absolute position of the window.
-     * This function enables the button 0 in the menu bar.
+     * Marks the active window with the class "window-active" & the other ones with the class "window-inactive".
+     * @private
      */
-    _enableAbsolutePosition() {
-        this.absolutePosition = true;
-        if (this.window) {
-            this.enableButton(0);
+    _applyFocusClasses() {
+        for (var structure of this.windows) {
+            if (structure.window) {
+                structure.window.classList.toggle("window-active", structure === this.active);
+                structure.window.classList.toggle("window-inactive", structure !== this.active);
+            }
         }
     }
     /**
-     * Enables a button.
-     * @param {number} index The index of the button (0, 1 or 2, from left to right).
+     * Defines the taskbar in which the windows are listed (use `mountTaskbar()` to create one).
+     * @param {Taskbar | null} taskbar The taskbar or null to remove it.
      */
-    enableButton(index) {
-        if (this.window) {
-            try {
-                var allButtons = this.window.querySelectorAll("button");
-                allButtons[index].removeAttribute("disabled");
+    setTaskbar(taskbar) {
+        this.taskbar = taskbar;
+        this.refresh();
+    }
+    /**
+     * Creates a taskbar in a container in order to list the windows of this manager.
+     * @param {HTMLElement} container The element in which to put the buttons of the taskbar.
+     * @returns {Taskbar} The taskbar.
+     */
+    mountTaskbar(container) {
+        return new Taskbar(container, this);
+    }
+    /**
+     * Updates the stacking order & the taskbar (if there is one) after a change of a window.
+     */
+    refresh() {
+        this._applyZIndexes();
+        if (this.taskbar) {
+            this.taskbar.render();
+        }
+    }
+    /**
+     * Gets the windows that can be arranged, grouped by parent element & sorted by stacking order:
+     * the visible windows that are draggable & not modal.
+     * @param {HTMLElement | null} container The parent element of the windows, or null for all the windows.
+     * @param {boolean} minimized Should the minimized windows be included?
+     * @returns {Array<Array<WindowStructure>>} The groups of windows.
+     * @private
+     */
+    _getArrangeableGroups(container, minimized) {
+        var parents = [];
+        var groups = [];
+        for (var structure of this.windows) {
+            if (!structure.window || structure.isClosed() || !structure.draggable || structure.modal)
+                continue;
+            if (structure.status === 1 && !minimized)
+                continue;
+            if (container !== null && structure.parent !== container)
+                continue;
+            var index = parents.indexOf(structure.parent);
+            if (index === -1) {
+                parents.push(structure.parent);
+                groups.push([]);
+                index = parents.length - 1;
             }
-            catch (e) {
-                throw new Error("enableButton(index): the index is not good (0, 1 or 2, from left to right).");
+            groups[index].push(structure);
+        }
+        return groups;
+    }
+    /**
+     * Arranges the windows in cascade, from the top left corner of their parent element.
+     * The maximized windows are restored & the minimized ones are ignored.
+     * @param {HTMLElement | null} container The parent element of the windows to arrange, or null for all the windows.
+     * @param {number} offset The gap between two windows (by default 30).
+     */
+    cascade(container = null, offset = 30) {
+        for (var group of this._getArrangeableGroups(container, false)) {
+            var area = group[0].getParentArea();
+            var shift = offset * (group.length - 1);
+            for (var i = 0; i < group.length; i++) {
+                var structure = group[i];
+                if (structure.status === 2)
+                    structure.restore();
+                structure.setBounds(area.x + i * offset, area.y + i * offset, Math.min(structure.width, area.width - shift), Math.min(structure.height, area.height - shift));
             }
+            this.focus(group[group.length - 1]);
         }
-        else {
-            throw new Error("The window is not built.");
+    }
+    /**
+     * Arranges the windows one above the other: every window takes the whole width of its parent element.
+     * The maximized windows are restored & the minimized ones are ignored.
+     * @param {HTMLElement | null} container The parent element of the windows to arrange, or null for all the windows.
+     */
+    tileHorizontally(container = null) {
+        this._tile(container, false);
+    }
+    /**
+     * Arranges the windows side by side: every window takes the whole height of its parent element.
+     * The maximized windows are restored & the minimized ones are ignored.
+     * @param {HTMLElement | null} container The parent element of the windows to arrange, or null for all the windows.
+     */
+    tileVertically(container = null) {
+        this._tile(container, true);
+    }
+    /**
+     * Divides the parent element of the windows into rows or columns.
+     * A window never gets smaller than its minimum size, so the last windows can overflow.
+     * @param {HTMLElement | null} container The parent element of the windows to arrange, or null for all the windows.
+     * @param {boolean} columns True for columns, false for rows.
+     * @private
+     */
+    _tile(container, columns) {
+        for (var group of this._getArrangeableGroups(container, false)) {
+            var area = group[0].getParentArea();
+            var position = columns ? area.x : area.y;
+            for (var structure of group) {
+                if (structure.status === 2)
+                    structure.restore();
+                if (columns) {
+                    var width = Math.max(structure.minWidth, Math.floor(area.width / group.length));
+                    structure.setBounds(position, area.y, width, area.height);
+                    position += width;
+                }
+                else {
+                    var height = Math.max(structure.minHeight, Math.floor(area.height / group.length));
+                    structure.setBounds(area.x, position, area.width, height);
+                    position += height;
+                }
+            }
         }
     }
     /**
-     * Disables a button.
-     * @param index The index of the button (0, 1 or 2, from left to right).
+     * Minimizes the windows.
+     * @param {HTMLElement | null} container The parent element of the windows to minimize, or null for all the windows.
+     * @returns {Promise<void>} A promise resolved when all the transitions have finished.
      */
-    disableButton(index) {
-        if (this.window) {
-            try {
-                var allButtons = this.window.querySelectorAll("button");
-                allButtons[index].setAttribute("disabled", "");
+    minimizeAll(container = null) {
+        var transitions = [];
+        for (var group of this._getArrangeableGroups(container, false)) {
+            for (var structure of group) {
+                // the child windows are minimized with their owner
+                if (structure.status !== 1)
+                    transitions.push(structure.minify());
             }
-            catch (e) {
-                throw new Error("disableButton(index): the index is not good (0, 1 or 2, from left to right).");
+        }
+        return Promise.all(transitions).then(function () { });
+    }
+    /**
+     * Restores the minimized & the maximized windows to their normal size.
+     * @param {HTMLElement | null} container The parent element of the windows to restore, or null for all the windows.
+     * @returns {Promise<void>} A promise resolved when all the transitions have finished.
+     */
+    restoreAll(container = null) {
+        var transitions = [];
+        for (var group of this._getArrangeableGroups(container, true)) {
+            for (var structure of group) {
+                if (structure.status === 1)
+                    transitions.push(structure.extend());
+                if (structure.status === 2)
+                    transitions.push(structure.restore());
             }
         }
-        else {
-            throw new Error("The window is not built.");
+        return Promise.all(transitions).then(function () { });
+    }
+    /**
+     * Adds a window to the manager. The window is put on top of the others.
+     * @param {WindowStructure} structure The window to add.
+     */
+    add(structure) {
+        if (this.windows.indexOf(structure) === -1) {
+            this.windows.push(structure);
         }
+        this._applyZIndexes();
+        this._applyFocusClasses();
+        this.refresh();
     }
     /**
-     * Activates the fullscreen mode.
-     * @returns {boolean} True if the fullscreen mode has been allowed.
+     * Removes a window from the manager. If this window was active, then no window is active anymore.
+     * @param {WindowStructure} structure The window to remove.
      */
-    requestFullscreen() {
-        if (this.window) {
-            if (this.window.requestFullscreen) {
-                this.window.requestFullscreen();
-                this.isFullscreen = true;
-                return true;
-            }
-            else {
-                return false;
+    remove(structure) {
+        var index = this.windows.indexOf(structure);
+        if (index !== -1) {
+            this.windows.splice(index, 1);
+            this.blur(structure);
+            this._applyZIndexes();
+            if (structure.window) {
+                structure.window.classList.remove("window-active", "window-inactive");
             }
+            this.refresh();
         }
-        else {
-            throw new Error("The window is not built.");
+    }
+    /**
+     * Gets the managed windows, sorted by stacking order (the last one is on top).
+     * @returns {Array<WindowStructure>} The managed windows.
+     */
+    getWindows() {
+        return this.windows.slice();
+    }
+    /**
+     * Brings a window to the front & makes it the active window.
+     * @param {WindowStructure} structure The window to focus.
+     */
+    focus(structure) {
+        var index = this.windows.indexOf(structure);
+        if (index === -1) {
+            throw new Error("WindowManager: this window is not managed by this manager.");
         }
+        this.windows.splice(index, 1);
+        this.windows.push(structure);
+        this._applyZIndexes();
+        if (this.active === structure)
+            return;
+        var previous = this.active;
+        this.active = structure;
+        this._applyFocusClasses();
+        this.refresh();
+        if (previous)
+            previous.emit("blur");
+        structure.emit("focus");
+        this.focusCallback(structure);
     }
     /**
-     * Deactivates the fullscreen mode.
-     * @returns {boolean} True if the fullscreen mode has been successfully deactivated.
+     * Removes the focus from the active window.
+     * @param {WindowStructure} structure If specified, the focus is removed only if this window is the active one.
      */
-    exitFullscreen() {
-        if (document.exitFullscreen) {
-            document.exitFullscreen();
-            this.isFullscreen = false;
-            return true;
+    blur(structure) {
+        if (this.active === null)
+            return;
+        if (structure && structure !== this.active)
+            return;
+        var previous = this.active;
+        this.active = null;
+        this._applyFocusClasses();
+        this.refresh();
+        previous.emit("blur");
+    }
+    /**
+     * Gets the active window.
+     * @returns {WindowStructure | null} The active window or null if there is none.
+     */
+    getActive() {
+        return this.active;
+    }
+    /**
+     * Defines the function to call every time a window gets the focus.
+     * @param {Function} callback The function to call. It receives the focused window.
+     */
+    onFocus(callback) {
+        this.focusCallback = callback;
+    }
+    /**
+     * Gets the state of the windows that have an identifier (see `WindowStructure.setId()`), sorted by stacking order.
+     * @param {LayoutAdapter} adapter If specified, the layout is saved with this adapter (see `LocalStorageAdapter`).
+     * @returns {Array<WindowState>} The layout.
+     */
+    saveLayout(adapter) {
+        var layout = [];
+        for (var structure of this.windows) {
+            if (structure.id !== null && structure.window) {
+                layout.push(structure.serialize());
+            }
         }
-        else {
+        if (adapter) {
+            adapter.save(layout);
+        }
+        return layout;
+    }
+    /**
+     * Restores a layout created by `saveLayout()`. Each state is applied to the window that has the same identifier,
+     * and the stacking order is restored.
+     * @param {Array<WindowState> | LayoutAdapter} layout The layout, or the adapter from which to load it.
+     * @returns {boolean} False if there was no layout to restore.
+     */
+    restoreLayout(layout) {
+        var states = Array.isArray(layout) ? layout : layout.load();
+        if (!states)
             return false;
+        var restored = [];
+        var statuses = ["normal", "minimized", "maximized", "closed"];
+        for (var state of states) {
+            // an invalid (or corrupted) state is ignored
+            if (!state || statuses.indexOf(state.status) === -1)
+                continue;
+            for (var structure of this.windows) {
+                if (structure.id !== null && structure.id === state.id && structure.window) {
+                    structure.restore(state);
+                    restored.push(structure);
+                    break;
+                }
+            }
+        }
+        // the restored windows go on top, in the saved order
+        for (var structure of restored) {
+            this.windows.splice(this.windows.indexOf(structure), 1);
+            this.windows.push(structure);
+        }
+        this._applyZIndexes();
+        // the window on top becomes the active window (if it is visible)
+        var top = this.windows[this.windows.length - 1];
+        if (top && top.window && top.status !== 1 && !top.isClosed()) {
+            this.focus(top);
         }
+        return true;
     }
+}
+/**
+ * The manager used by default by every window.
+ * @type {WindowManager}
+ * @static
+ * @public
+ */
+WindowManager.defaultManager = new WindowManager();
+/**
+ * Saves the layout of the windows in the `localStorage`, in order to restore it after a reload.
+ * @class
+ */
+class LocalStorageAdapter {
     /**
-     * Temporarily disables the draggable property of the window & resets its position.
+     * @constructs LocalStorageAdapter
+     * @param {string} key The key of the item in the `localStorage` (by default "window-structure-layout").
      */
-    _hideDraggable() {
-        if (this.draggable && this.window && this.window.parentElement) {
-            this.window.setAttribute("draggable", "false");
-            this.window.parentElement.style.left = "";
-            this.window.parentElement.style.top = "";
+    constructor(key = "window-structure-layout") {
+        /**
+         * The key of the item in the `localStorage`.
+         * @type {string}
+         * @default "window-structure-layout"
+         * @public
+         */
+        this.key = "window-structure-layout";
+        this.key = key;
+    }
+    /**
+     * Saves the layout.
+     * @param {Array<WindowState>} layout The layout.
+     */
+    save(layout) {
+        window.localStorage.setItem(this.key, JSON.stringify(layout));
+    }
+    /**
+     * Loads the layout.
+     * @returns {Array<WindowState> | null} The layout or null if there is no saved layout (or if it is corrupted).
+     */
+    load() {
+        var item = window.localStorage.getItem(this.key);
+        if (item === null)
+            return null;
+        try {
+            var layout = JSON.parse(item);
+            return Array.isArray(layout) ? layout : null;
+        }
+        catch (e) {
+            return null;
         }
     }
     /**
-     * Resets the position of the window if it is draggable (after using `minify()`).
+     * Removes the saved layout.
+     */
+    clear() {
+        window.localStorage.removeItem(this.key);
+    }
+}
+/*
+ *
+ * Taskbar
+ *
+ */
+/**
+ * Lists the windows of a manager in a container. A minimized window is hidden & represented by its button in the taskbar.
+ * @class
+ */
+class Taskbar {
+    /**
+     * @constructs Taskbar
+     * @param {HTMLElement} container The element in which to put the buttons.
+     * @param {WindowManager} manager The manager whose windows are listed (by default `WindowManager.defaultManager`).
      */
-    _resetDraggable() {
-        if (this.draggable && this.window && this.window.parentElement) {
-            this.window.parentElement.style.left = "";
-            this.window.parentElement.style.top = "";
-            this.window.parentElement.style.bottom = "";
-            this.window.parentElement.style.right = "";
-            this.window.setAttribute("draggable", "true");
+    constructor(container, manager = WindowManager.defaultManager) {
+        /**
+         * The listed windows, in the order in which they appeared.
+         * The order of the manager changes every time a window gets the focus, and we don't want the buttons to move.
+         * @type {Array<WindowStructure>}
+         * @private
+         */
+        this.items = [];
+        /**
+         * The buttons of the listed windows, in the same order as `items`.
+         * They are kept from a render to the next, so that a button doesn't lose the focus.
+         * @type {Array<HTMLButtonElement>}
+         * @private
+         */
+        this.buttons = [];
+        if (!container) {
+            throw new Error("Taskbar: the container does not exist.");
         }
+        this.container = container;
+        this.manager = manager;
+        this.container.classList.add("window-taskbar");
+        this.manager.setTaskbar(this);
     }
     /**
-     * Temporarily disables the resizable property of the window because we don't want the user to move it when it's minimized.
+     * Creates the button of a window.
+     * @param {WindowStructure} structure The window.
+     * @returns {HTMLButtonElement} The button.
+     * @private
      */
-    _hideResizable() {
-        if (this.resizable && this.window) {
-            this.window.style.resize = "none";
-        }
+    _createItem(structure) {
+        var button = document.createElement("button");
+        button.setAttribute("type", "button");
+        button.className = "window-taskbar-item";
+        var self = this;
+        button.addEventListener("click", function () {
+            self.activate(structure);
+        });
+        return button;
     }
     /**
-     * Resets the resizable property if it is enabled (after using `minify()`).
+     * Updates the title & the state classes of the button of a window.
+     * @param {HTMLButtonElement} button The button.
+     * @param {WindowStructure} structure The window.
+     * @private
      */
-    _resetResizable() {
-        if (this.resizable && this.window) {
-            this.window.style.resize = "both";
+    _updateItem(button, structure) {
+        if (button.textContent !== structure.title) {
+            button.textContent = structure.title;
         }
+        button.setAttribute("title", structure.title);
+        button.classList.toggle("active", structure === this.manager.getActive());
+        button.classList.toggle("minimized", structure.status === 1);
+        button.classList.toggle("closed", structure.isClosed());
     }
     /**
-     * Minimizes the window. This is not possible if the absolute position has been disallowed.
-     * @param {string} x The x-direction of the absolute position ("left" by default or "right").
-     * @param {string} y The y-direction of the absolute position ("bottom" by default or "top").
-     * @param {number} posFromX The position from the left of right side (by default 20).
-     * @param {number} posFromY The position from the bottom or top side (by default 20).
+     * Makes the window reappear if it is closed, restores it if it is minimized & brings it to the front.
+     * @param {WindowStructure} structure The window.
+     * @public
      */
-    minify(x = this.minimizationOptions.xSide, y = this.minimizationOptions.ySide, posFromX = this.minimizationOptions.posFromX, posFromY = this.minimizationOptions.posFromY) {
-        if (this.isFullscreen) {
-            this.exitFullscreen();
-        }
-        if (this.window) {
-            if (this.absolutePosition && this.draggable) {
-                if (this.window.parentElement === null) {
-                    throw new Error("Cannot minimize the window.");
-                }
-                this.window.style.width = this.minWidth + "px";
-                this.window.style.height = this.minHeight + "px";
-                // disable draggable
-                // very important /!\
-                this._hideDraggable();
-                x === "right"
-                    ? (this.window.parentElement.style.right = posFromX + "px")
-                    : (this.window.parentElement.style.left = posFromX + "px");
-                y === "top"
-                    ? (this.window.parentElement.style.top = posFromY + "px")
-                    : (this.window.parentElement.style.bottom = posFromY + "px");
-                this._hideResizable();
-                this.status = 1;
-                this.disableButton(0);
-                this.enableButton(1);
-                this.minCallback();
-            }
+    activate(structure) {
+        if (structure.isClosed()) {
+            structure.reappear();
         }
-        else {
-            throw new Error("The window is not built.");
+        if (structure.status === 1) {
+            structure.extend();
         }
+        structure.focus();
     }
     /**
-     * Restores normal window dimensions only if the status is 1 (= minimized).
-     * This action deactivates the button & enables the first one.
+     * Updates the buttons according to the windows of the manager, including the closed windows.
+     * @public
      */
-    extend() {
-        if (this.isFullscreen) {
-            this.exitFullscreen();
-        }
-        if (this.status === 1) {
-            if (this.window) {
-                // because we disabled draggable & resizable with minify()
-                this._resetDraggable();
-                this._resetResizable();
-                this.window.style.width = this.width + "px";
-                this.window.style.height = this.height + "px";
-                this.status = 0;
-                this.disableButton(1);
-                this.enableButton(0);
-                this.extensionCallback();
+    render() {
+        var windows = this.manager.getWindows();
+        var items = [];
+        var buttons = [];
+        // the windows already listed keep their place & their button, the new ones go at the end
+        for (var i = 0; i < this.items.length; i++) {
+            if (windows.indexOf(this.items[i]) !== -1) {
+                items.push(this.items[i]);
+                buttons.push(this.buttons[i]);
             }
-            else {
-                throw new Error("The window is not built.");
+            else if (this.buttons[i].parentNode === this.container) {
+                this.container.removeChild(this.buttons[i]);
             }
         }
-    }
-    /**
-     * Closes the window only if it's not already closed. The window is just hidden with a `display:none`.
-     */
-    close(confirmation) {
-        if (this.isFullscreen) {
-            this.exitFullscreen();
+        for (var structure of windows) {
+            if (items.indexOf(structure) === -1) {
+                items.push(structure);
+                buttons.push(this._createItem(structure));
+            }
         }
-        if (!this.isClosed()) {
-            if (this.window) {
-                if (confirmation) {
-                    if (confirm(confirmation)) {
-                        this.window.style.display = "none";
-                        this.closeCallback();
-                    }
-                }
-                else {
-                    this.window.style.display = "none";
-                    this.closeCallback();
+        this.items = items;
+        this.buttons = buttons;
+        // the buttons are moved only if they are not in place, a moved button would lose the focus
+        var next = this.container.firstChild;
+        for (var i = 0; i < this.items.length; i++) {
+            var button = this.buttons[i];
+            if (!this.items[i].window) {
+                if (button.parentNode === this.container) {
+                    if (next === button)
+                        next = button.nextSibling;
+                    this.container.removeChild(button);
                 }
+                continue;
+            }
+            this._updateItem(button, this.items[i]);
+            if (next === button) {
+                next = button.nextSibling;
             }
             else {
-                throw new Error("The window is not built.");
+                this.container.insertBefore(button, next);
             }
         }
     }
     /**
-     * Makes the window reappear after closing it. Restores the normal display value (`block`).
+     * Removes the taskbar. The windows minimized in the taskbar are extended.
+     * @public
      */
-    reappear() {
-        if (this.isClosed()) {
-            if (this.window) {
-                this.window.style.display = "block";
-            }
-            else {
-                throw new Error("The window is not built.");
+    unmount() {
+        this.manager.setTaskbar(null);
+        for (var structure of this.items) {
+            if (structure.window && structure.status === 1) {
+                structure.extend();
             }
         }
+        this.items = [];
+        this.buttons = [];
+        this.container.innerHTML = "";
+        this.container.classList.remove("window-taskbar");
+    }
+}
+/*
+ *
+ * Custom element
+ *
+ */
+/**
+ * The custom element `<window-structure>`. Its attributes `title`, `width`, `height`, `draggable`, `resizable`
+ * & `minimized` are synchronized with the window both ways. `window-title` & `drag-disabled` are aliases of `title`
+ * & `draggable="false"`, that avoid the native meaning of these global attributes (a tooltip on the whole window). The children with `slot="title"` are put in the title bar,
+ * the children with `slot="footer"` under the body, and the other children in the body.
+ * The window is rendered in the light DOM, so the stylesheet of the page applies.
+ * Without a DOM, the class exists but cannot be used.
+ * @class
+ */
+class WindowStructureElement extends (typeof HTMLElement !== "undefined"
+    ? HTMLElement
+    : Object) {
+    constructor() {
+        super(...arguments);
+        /**
+         * The window, created when the element is connected for the first time.
+         * @type {WindowStructure | null}
+         * @default null
+         * @public
+         */
+        this.structure = null;
+        /**
+         * True while the attributes are updated from the window (in order not to apply them back to the window).
+         * @type {boolean}
+         * @default false
+         * @private
+         */
+        this.syncing = false;
+        /**
+         * Observes the children added later (by the parser or by a framework) in order to put them in their slot.
+         * @type {MutationObserver | null}
+         * @default null
+         * @private
+         */
+        this.observer = null;
     }
     /**
-     * Kills the window. This action is irreversible.
+     * The attributes synchronized with the window.
+     * @type {Array<string>}
+     * @static
      */
-    kill() {
-        if (!this.window)
-            throw new Error("The window is not built.");
-        if (this.draggable) {
-            var dragParentElement = this.window.parentElement;
-            if (dragParentElement) {
-                this.parent.removeChild(dragParentElement);
-            }
-            else {
-                throw new Error("Cannot kill the window. The window does not have a parent element.");
-            }
-        }
-        else {
-            this.parent.removeChild(this.window);
-        }
-        this.killCallback();
+    static get observedAttributes() {
+        return ["title", "window-title", "width", "height", "draggable", "drag-disabled", "resizable", "minimized"];
     }
     /**
-     * Returns true if the window is close, false otherwise.
-     * @returns {boolean} True if the window is closed.
+     * Builds the window the first time the element is inserted in the document.
      */
-    isClosed() {
-        if (this.window) {
-            return this.window.style.display === "none";
+    connectedCallback() {
+        if (this.structure) {
+            // the element has been moved
+            if (this.structure.manager && this.structure.window)
+                this.structure.manager.add(this.structure);
+            return;
         }
-        else {
-            throw new Error("The window is not built.");
+        var structure = new WindowStructure(this.title || "Window", this._getSize("width", 800), this._getSize("height", 462), this.draggable, this.getAttribute("resizable") !== "false", this);
+        this.structure = structure;
+        structure.build();
+        var windowElement = structure.window;
+        var extras = document.createElement("div");
+        extras.className = "window-title-extras";
+        var bar = windowElement.querySelector(".window-bar");
+        bar.insertBefore(extras, bar.querySelector(".window-main-buttons"));
+        var footer = document.createElement("div");
+        footer.className = "window-footer";
+        windowElement.appendChild(footer);
+        var self = this;
+        this._distributeChildren();
+        this.observer = new MutationObserver(function () {
+            self._distributeChildren();
+        });
+        this.observer.observe(this, { childList: true });
+        structure.on("titleChange", function () {
+            // the attribute chosen by the author
+            self._reflect(self._getTitleAttribute(), structure.title);
+        });
+        // the size of the window on the screen (maximized, tiled...)
+        var reflectSize = function () {
+            self._reflectSize();
+        };
+        structure.on("resize", reflectSize);
+        structure.on("resizeEnd", reflectSize);
+        structure.on("maximize", reflectSize);
+        structure.on("restore", reflectSize);
+        structure.on("minify", function () {
+            self._reflect("minimized", "");
+            self._dispatch("minify");
+        });
+        structure.on("extend", function () {
+            self._reflect("minimized", null);
+            self._reflectSize();
+            self._dispatch("extend");
+        });
+        structure.on("close", function () {
+            self._dispatch("close");
+        });
+        structure.on("kill", function () {
+            if (self.observer)
+                self.observer.disconnect();
+            self._dispatch("kill");
+        });
+        if (this.hasAttribute("minimized")) {
+            this._applyAttribute("minimized");
         }
     }
     /**
-     * Defines the function to call every time we minimize the window.
-     * @param callback The function to call.
+     * Removes the window from its manager while the element is not in the document.
      */
-    onMinify(callback) {
-        this.minCallback = callback;
+    disconnectedCallback() {
+        if (this.structure && this.structure.manager) {
+            this.structure.manager.remove(this.structure);
+        }
     }
     /**
-     * Defines the function to call every time we extend the window.
-     * @param callback The function to call.
+     * Applies to the window the attributes changed from the outside.
+     * @param {string} name The name of the attribute.
+     * @param {string | null} oldValue The previous value.
+     * @param {string | null} value The new value.
      */
-    onExtension(callback) {
-        this.extensionCallback = callback;
+    attributeChangedCallback(name, oldValue, value) {
+        if (!this.structure || this.syncing || oldValue === value)
+            return;
+        this._applyAttribute(name);
     }
     /**
-     * Defines the function to call every time we close the window.
-     * @param callback The function to call.
+     * The title of the window (the attribute `title`, or its alias `window-title`).
+     * @type {string}
      */
-    onClose(callback) {
-        this.closeCallback = callback;
+    get title() {
+        return this.getAttribute(this._getTitleAttribute()) || "";
     }
-    /**
-     * Defines the function to call every time we kill the window.
-     * @param callback The function to call.
-     */
-    onKill(callback) {
-        this.killCallback = callback;
+    set title(title) {
+        this.setAttribute(this._getTitleAttribute(), title);
     }
     /**
-     * Defines the parent element in which to put the window.
-     * @param {HTMLElement} parent The parent element in which to put the window.
+     * The width of the window.
+     * @type {number}
      */
-    setParent(parent) {
-        this.parent = parent;
+    get width() {
+        return this._getSize("width", 800);
     }
-    /**
-     * Makes the window draggable or not.
-     * @param {boolean} draggable True to make the window draggable.
-     */
-    setDraggable(draggable) {
-        if (draggable === false) {
-            if (this.status === 1) {
-                this.extend();
-            }
-            // if the draggable property is already set to true
-            this._hideDraggable();
-            // disable it
-            this.draggable = false;
-            this._disableAbsolutePosition();
-        }
-        else if (draggable === true) {
-            // if this is the first time that we set the draggable property to true
-            // & if we do it after `build()`:
-            if (this.window && this.window.parentElement) {
-                var parent = this.window.parentElement;
-                if (parent.className !== "tooltip drag") {
-                    new Dragger(this.window);
-                }
-            }
-            this.draggable = true;
-            this._enableAbsolutePosition();
-            this._resetDraggable();
-        }
+    set width(width) {
+        this.setAttribute("width", String(width));
     }
     /**
-     * Makes the window resizable or not.
-     * If the window is minimized (status === 1), then `extend()` is called.
-     * @param {boolean} resizable True to make the window resizable.
+     * The height of the window.
+     * @type {number}
      */
-    setResizable(resizable) {
-        if (this.status === 1) {
-            this.extend();
-        }
-        if (resizable === true) {
-            this.resizable = true;
-            if (this.window) {
-                this.window.style.resize = "both";
-            }
-        }
-        else if (resizable === false) {
-            this.resizable = false;
-            if (this.window) {
-                this.window.style.resize = "none";
-            }
-        }
+    get height() {
+        return this._getSize("height", 462);
+    }
+    set height(height) {
+        this.setAttribute("height", String(height));
     }
     /**
-     * Sets the title of the window (in the menu bar).
-     * @param {string} title The new title of the window.
+     * Is the window draggable? (`draggable="false"` or its alias `drag-disabled` disables it)
+     * @type {boolean}
      */
-    setTitle(title) {
-        this.title = title;
-        if (this.window) {
-            var titleElement = this.window.querySelector(".window-title");
-            if (titleElement) {
-                titleElement.textContent = this.title;
-            }
-            else {
-                throw new Error("The window was not built correctly.");
-            }
-        }
+    get draggable() {
+        return this.getAttribute("draggable") !== "false" && !this.hasAttribute("drag-disabled");
+    }
+    set draggable(draggable) {
+        // `draggable="true"` would make the element draggable with the HTML5 drag and drop
+        draggable ? this.removeAttribute("draggable") : this.setAttribute("draggable", "false");
+        if (draggable)
+            this.removeAttribute("drag-disabled");
     }
     /**
-     * Sets the width of the window.
-     * @param {number} width The width of the window.
+     * Is the window resizable? (`resizable="false"` disables it)
+     * @type {boolean}
      */
-    setWidth(width) {
-        this.width = width;
-        if (this.window) {
-            this.window.style.width = this.width + "px";
-        }
+    get resizable() {
+        return this.getAttribute("resizable") !== "false";
+    }
+    set resizable(resizable) {
+        this.setAttribute("resizable", resizable ? "true" : "false");
     }
     /**
-     * Sets the height of the window.
-     * @param {number} height The height of the window.
+     * Is the window minimized?
+     * @type {boolean}
      */
-    setHeight(height) {
-        this.height = height;
-        if (this.window) {
-            this.window.style.height = this.height + "px";
-        }
+    get minimized() {
+        return this.hasAttribute("minimized");
+    }
+    set minimized(minimized) {
+        minimized ? this.setAttribute("minimized", "") : this.removeAttribute("minimized");
     }
     /**
-     * Sets the minimum width of the window.
-     * @param {number} minWidth The minimum width.
+     * Gets the attribute of the title: `title`, or `window-title` if only the alias is used.
+     * @returns {string} The name of the attribute.
+     * @private
      */
-    setMinWidth(minWidth) {
-        this.minWidth = minWidth;
+    _getTitleAttribute() {
+        return !this.hasAttribute("title") && this.hasAttribute("window-title") ? "window-title" : "title";
     }
     /**
-     * Sets the minimum height of the window.
-     * @param {number} minHeight The minimum height.
+     * Reads a size from an attribute.
+     * @param {string} name "width" or "height".
+     * @param {number} defaultValue The value used when the attribute is missing or invalid.
+     * @returns {number} The size.
+     * @private
      */
-    setMinHeight(minHeight) {
-        this.minHeight = minHeight;
+    _getSize(name, defaultValue) {
+        var value = parseFloat(this.getAttribute(name) || "");
+        return value > 0 ? value : defaultValue;
     }
     /**
-     * Applies to the window the general styles.
+     * Applies an attribute to the window.
+     * @param {string} name The name of the attribute.
+     * @private
      */
-    applyStyles() {
-        if (this.window) {
-            this.window.style.minWidth = this.minWidth + "px";
-            this.window.style.minHeight = this.minHeight + "px";
-            this.window.style.color = this.colors.text;
-            this.window.style.backgroundColor = this.colors.background;
-            var menubar = this.window.querySelector(".window-bar");
-            menubar.style.backgroundColor = this.colors.menubarBackground;
-            menubar.style.color = this.colors.menubarColor;
-        }
-        else {
-            throw new Error("The window is not built.");
+    _applyAttribute(name) {
+        var structure = this.structure;
+        if (name === "title" || name === "window-title")
+            structure.setTitle(this.title);
+        if (name === "width")
+            structure.setWidth(this.width);
+        if (name === "height")
+            structure.setHeight(this.height);
+        if (name === "draggable" || name === "drag-disabled")
+            structure.setDraggable(this.draggable);
+        if (name === "resizable")
+            structure.setResizable(this.resizable);
+        if (name === "minimized" && structure.window) {
+            if (this.minimized && structure.status !== 1)
+                structure.minify();
+            if (!this.minimized && structure.status === 1)
+                structure.extend();
+            // the window cannot always be minimized (for example if it is not draggable)
+            this._reflect("minimized", structure.status === 1 ? "" : null);
         }
     }
     /**
-     * Builds the window.
-     * @param {string} bodyTemplate The body template to generate (it has to correspond with the HTMLBuilder syntax).
-     */
-    build(bodyTemplate = "") {
-        this.builder.setParent(this.parent);
-        var maintemplate = `
-			div.window#${this.key}
-				>div.window-bar
-					>>div.window-container-title
-						>>>span.window-title(${this.title})
-					>>div.window-main-buttons
-						>>>button(&#150;)[type=button]@minify
-						>>>button(&#8597;)[type=button; disabled]@extend
-						>>>button(&times;)[type=button]@close
-				>div.window-body
-		`;
-        if (bodyTemplate.length > 0) {
-            maintemplate += this.builder.indentTemplate(bodyTemplate, 2);
-        }
-        this.builder.generate(maintemplate);
-        this.window = document.querySelector("#" + this.key);
-        // we don't want to reset the width & the height when calling `applyStyles()`
-        this.setHeight(this.height);
-        this.setWidth(this.width);
-        // apply the general styles
-        this.applyStyles();
-        this.setResizable(this.resizable);
-        if (this.draggable === true) {
-            new Dragger(this.window);
-        }
-        else {
-            this.disableButton(0);
+     * Updates an attribute from the window.
+     * @param {string} name The name of the attribute.
+     * @param {string | null} value The new value, or null to remove the attribute.
+     * @private
+     */
+    _reflect(name, value) {
+        this.syncing = true;
+        value === null ? this.removeAttribute(name) : this.setAttribute(name, value);
+        this.syncing = false;
+    }
+    /**
+     * Updates the attributes `width` & `height` from the size of the window on the screen.
+     * The size of a minimized window is not reflected.
+     * @private
+     */
+    _reflectSize() {
+        var structure = this.structure;
+        if (!structure.window || structure.status === 1)
+            return;
+        var width = parseFloat(structure.window.style.width);
+        var height = parseFloat(structure.window.style.height);
+        if (width > 0)
+            this._reflect("width", String(width));
+        if (height > 0)
+            this._reflect("height", String(height));
+    }
+    /**
+     * Dispatches a DOM event from the element. The window is in `event.detail.structure`.
+     * @param {string} type The type of the event.
+     * @private
+     */
+    _dispatch(type) {
+        this.dispatchEvent(new CustomEvent(type, { bubbles: true, detail: { structure: this.structure } }));
+    }
+    /**
+     * Moves the children of the element into the window, according to their `slot` attribute.
+     * @private
+     */
+    _distributeChildren() {
+        var structure = this.structure;
+        if (!structure.window)
+            return;
+        var body = structure.window.querySelector(".window-body");
+        var extras = structure.window.querySelector(".window-title-extras");
+        var footer = structure.window.querySelector(".window-footer");
+        var nodes = Array.prototype.slice.call(this.childNodes);
+        for (var node of nodes) {
+            // the window itself
+            if (node.contains(structure.window))
+                continue;
+            var slot = node instanceof Element ? node.getAttribute("slot") : null;
+            if (slot === "title")
+                extras.appendChild(node);
+            else if (slot === "footer")
+                footer.appendChild(node);
+            else
+                body.appendChild(node);
         }
     }
 }
+if (typeof customElements !== "undefined" && !customElements.get("window-structure")) {
+    customElements.define("window-structure", WindowStructureElement);
+}
 /**
  * A tool that allows you to generate HTML content from a template in an optimised way.
  * @class
@@ -785,16 +6372,9 @@ class WindowStructure {
 class HTMLBuilder {
     /**
      * @constructs HTMLBuilder
-     * @param {HTMLElement} parent The parent in which to put the generated elements.
+     * @param {HTMLElement} parent The parent in which to put the generated elements (by default the body of the document).
      */
     constructor(parent) {
-        /**
-         * The regular expression used to parse a template.
-         * @type {RegExp}
-         * @constant
-         * @private
-         */
-        this.REGEX = /(\w+)((?:\.[\w-]*)*)*(#[\w-]*)?(?:\((.*)\))?(?:\[(.*)\])?(?:\@([\w;]*))*/;
         /**
          * The symbol uses to separate different attributes.
          * @type {string}
@@ -806,7 +6386,18 @@ class HTMLBuilder {
          * @private
          */
         this.EVENTS = [];
-        this.parent = parent || document.body;
+        /**
+         * The data used to resolve the placeholders.
+         * @private
+         */
+        this.data = {};
+        /**
+         * The text nodes & the attributes that contain placeholders, in order to update them with `update()`.
+         * @private
+         */
+        this.bindings = [];
+        // no parent without a DOM, only `renderToString()` is available
+        this.parent = parent || (typeof document !== "undefined" ? document.body : null);
     }
     /**
      * Changes the parent element.
@@ -837,16 +6428,18 @@ class HTMLBuilder {
         this.EVENTS.push(event);
     }
     /**
-     * Changes the symbol that separates the attributes inside brackets.
+     * Changes the symbol that separates the attributes inside brackets, and the events.
      *
      * @param {string} symbol The new symbol.
      * @public
      * @example `
      *      changeSymbolBetweenAttributes('/')
-     *      => [attr1=et / attr2=voilà]
+     *      => [attr1=et / attr2=voilà]@click/hover
      * `
      */
     changeSymbolBetweenAttributes(symbol) {
+        if (!symbol)
+            throw new Error("changeSymbolBetweenAttributes(): the symbol cannot be empty.");
         this.SYMBOL_BETWEEN_ATTRIBUTES = symbol;
     }
     /**
@@ -860,56 +6453,546 @@ class HTMLBuilder {
         var newTemplate = "";
         var lines = this._extractLinesFrom(template);
         for (var line of lines) {
+            if (line.length === 0)
+                continue;
             // @ts-ignore
             newTemplate += ">".repeat(indentation) + line + "\n"; // \n to add more lines
         }
         return newTemplate.trim();
     }
     /**
-     * Gets the indentation level of a line.
+     * Extracts the different lines of a template in order to analyse them individually.
      *
-     * @param {string} line The line to parse.
-     * @return {number} The level of indentation.
+     * @param {string} template The template of the HTML elements.
+     * @return {Array<string>} The lines from a template.
      * @private
      */
-    _level(line) {
-        var level = 0;
-        for (var i = 0; i < line.length; i++) {
-            if (line[i] !== ">") {
-                break;
+    _extractLinesFrom(template) {
+        var lines = template.trim().split("\n");
+        for (var i = 0; i < lines.length; i++) {
+            lines[i] = lines[i].trim();
+        }
+        return lines;
+    }
+    /**
+     * Escapes the characters used by the syntax, in order to put any text in a content or in a quoted value.
+     *
+     * @param {string} text The text to escape.
+     * @return {string} The escaped text.
+     * @public
+     * @example `"p(" + HTMLBuilder.escape("a) b") + ")"` => `p(a\) b)`
+     */
+    static escape(text) {
+        return text.replace(/[\\()\[\]{}"';]/g, "\\$&");
+    }
+    /**
+     * Creates the error of an invalid template, with the position of the problem.
+     *
+     * @param {string} message The description of the problem.
+     * @param {number} line The number of the line (from 1).
+     * @param {number} column The number of the column (from 1).
+     * @return {SyntaxError} The error, with the properties `line` & `column`.
+     * @private
+     */
+    static _syntaxError(message, line, column) {
+        var error = new SyntaxError("HTMLBuilder: " + message + " at line " + line + ", column " + column + ".");
+        error.line = line;
+        error.column = column;
+        return error;
+    }
+    /**
+     * Parses a template into a tree of nodes (the elements & the directives), without creating any element.
+     * The nodes keep the position of their line in the template.
+     *
+     * In a content or in a value, `\` escapes the next character (`p(a\) b)`), and the values can be quoted
+     * (`[href="page?a=1&b=2"; title='a; b']`). The parentheses of a content can be nested if they are balanced,
+     * otherwise the content ends at the last `)` of the line (`p(:( sad)`).
+     *
+     * @param {string} template The template.
+     * @param {string} separator The symbol between the attributes & between the events (by default `;`).
+     * @param {boolean} placeholders False to keep the `{{…}}` as literal text (for a template without data).
+     * @return {Array<TemplateNode>} The nodes of the first level & their children.
+     * @public
+     * @throws {SyntaxError} If the template is invalid, with the line & the column of the problem.
+     */
+    static parse(template, separator = ";", placeholders = true) {
+        var nodes = [];
+        // the lists in which to put the nodes of each level
+        var levels = [nodes];
+        var lines = template.split("\n");
+        for (var i = 0; i < lines.length; i++) {
+            var text = lines[i].replace(/\s+$/, "");
+            var start = text.search(/\S/);
+            if (start === -1)
+                continue;
+            var level = 0;
+            while (text[start + level] === ">")
+                level++;
+            if (level >= levels.length) {
+                throw HTMLBuilder._syntaxError("unexpected level of indentation (" + level + " instead of " + (levels.length - 1) + " at most)", i + 1, start + 1);
+            }
+            var position = start + level;
+            while (/\s/.test(text[position]))
+                position++;
+            var line = text.slice(position);
+            var siblings = levels[level];
+            var node;
+            var matches;
+            if (line === "else") {
+                var previous = siblings[siblings.length - 1];
+                if (!previous || previous.type !== "if" || previous.alternate !== null) {
+                    throw HTMLBuilder._syntaxError('"else" without "if"', i + 1, position + 1);
+                }
+                previous.alternate = [];
+                levels = levels.slice(0, level + 1).concat([previous.alternate]);
+                continue;
+            }
+            else if (/^for(\s|$)/.test(line)) {
+                if (!(matches = HTMLBuilder.DIRECTIVES.for.exec(line))) {
+                    throw HTMLBuilder._syntaxError('invalid directive "' + line + '", "for item in path" expected', i + 1, position + 1);
+                }
+                node = {
+                    type: "for",
+                    item: matches[1],
+                    index: matches[2] || "index",
+                    path: matches[3],
+                    children: [],
+                    line: i + 1,
+                    column: position + 1,
+                };
+            }
+            else if (/^if(\s|$)/.test(line)) {
+                if (!(matches = HTMLBuilder.DIRECTIVES.if.exec(line))) {
+                    throw HTMLBuilder._syntaxError('invalid directive "' + line + '", "if path" expected', i + 1, position + 1);
+                }
+                node = {
+                    type: "if",
+                    path: matches[2],
+                    negate: matches[1] === "!",
+                    children: [],
+                    alternate: null,
+                    line: i + 1,
+                    column: position + 1,
+                };
             }
             else {
-                level++;
+                node = HTMLBuilder._parseElement(text, position, i + 1, separator, placeholders);
             }
+            siblings.push(node);
+            levels = levels.slice(0, level + 1).concat([node.children]);
         }
-        return level;
+        return nodes;
     }
     /**
-     * Extracts the different lines of a template in order to analyse them individually.
+     * Parses the line of an element: `tag.class#id*path(content)[name=value]@event`.
+     * The content, the attributes & the events can be in any order.
      *
-     * @param {string} template The template of the HTML elements.
-     * @return {Array<string>} The lines from a template.
+     * @param {string} text The line.
+     * @param {number} start The position of the tag name in the line.
+     * @param {number} line The number of the line (from 1).
+     * @param {string} separator The symbol between the attributes & between the events.
+     * @param {boolean} placeholders False to keep the `{{…}}` as literal text.
+     * @return {TemplateElementNode} The node of the element, without children.
      * @private
+     * @throws {SyntaxError} If the line is invalid.
      */
-    _extractLinesFrom(template) {
-        var lines = template.trim().split("\n");
-        for (var i = 0; i < lines.length; i++) {
-            lines[i] = lines[i].trim();
+    static _parseElement(text, start, line, separator, placeholders) {
+        var position = start;
+        var node = {
+            type: "element",
+            tag: "",
+            classes: [],
+            id: null,
+            content: null,
+            attributes: [],
+            events: [],
+            repeat: null,
+            children: [],
+            line: line,
+            column: start + 1,
+        };
+        var error = function (message, at = position) {
+            return HTMLBuilder._syntaxError(message, line, at + 1);
+        };
+        var unexpected = function () {
+            return position < text.length
+                ? error('unexpected "' + text[position] + '"')
+                : error("unexpected end of line");
+        };
+        var read = function (regex) {
+            var matches = regex.exec(text.slice(position));
+            if (!matches)
+                return "";
+            position += matches[0].length;
+            return matches[0];
+        };
+        var skipSpaces = function () {
+            while (position < text.length && /\s/.test(text[position]))
+                position++;
+        };
+        var isAt = function (symbol) {
+            return text.substr(position, symbol.length) === symbol;
+        };
+        // reads a text until one of the symbols of the end (which is not consumed) or until a position,
+        // with the escaped characters & the placeholders
+        var readText = function (ends, nested, limit = text.length) {
+            var parts = [];
+            var buffer = "";
+            var depth = 0;
+            while (position < limit) {
+                var char = text[position];
+                if (char === "\\") {
+                    if (position + 1 >= text.length)
+                        throw error('nothing to escape after "\\"');
+                    buffer += text[position + 1];
+                    position += 2;
+                    continue;
+                }
+                if (placeholders && isAt("{{")) {
+                    var end = text.indexOf("}}", position + 2);
+                    if (end === -1)
+                        throw error('unclosed placeholder, "}}" expected');
+                    var path = text.slice(position + 2, end).trim();
+                    if (!HTMLBuilder.PATH_REGEX.test(path)) {
+                        throw error('invalid placeholder "' + text.slice(position, end + 2) + '"');
+                    }
+                    if (buffer)
+                        parts.push(buffer);
+                    parts.push({ path: path });
+                    buffer = "";
+                    position = end + 2;
+                    continue;
+                }
+                if (nested && char === "(") {
+                    depth++;
+                }
+                else if (nested && char === ")" && depth > 0) {
+                    depth--;
+                }
+                else if (ends.some(isAt)) {
+                    break;
+                }
+                buffer += char;
+                position++;
+            }
+            if (buffer)
+                parts.push(buffer);
+            return parts;
+        };
+        node.tag = read(/^[A-Za-z][\w-]*/);
+        if (!node.tag)
+            throw error("a tag name is expected");
+        while (text[position] === "." || text[position] === "#") {
+            var symbol = text[position];
+            position++;
+            var name = read(/^[\w-]+/);
+            if (symbol === ".") {
+                if (!name || /\d/.test(name[0]))
+                    throw error("invalid class name" + (name ? ' "' + name + '"' : ""));
+                node.classes.push(name);
+            }
+            else {
+                if (!name)
+                    throw error("invalid id");
+                if (node.id !== null)
+                    throw error("an element cannot have several ids", position - name.length - 1);
+                node.id = name;
+            }
         }
-        return lines;
+        if (text[position] === "*") {
+            position++;
+            node.repeat = read(/^[\w$]+(?:\.[\w$]+)*/);
+            if (!node.repeat)
+                throw error('the path of an array is expected after "*"');
+        }
+        var hasAttributes = false;
+        while (position < text.length) {
+            var opening = position;
+            if (/\s/.test(text[position])) {
+                position++;
+            }
+            else if (text[position] === "(") {
+                if (node.content !== null)
+                    throw error("an element cannot have several contents");
+                position++;
+                node.content = readText([")"], true);
+                if (text[position] !== ")") {
+                    // unbalanced parentheses, like `p(:( sad)`: the content ends at the last ")" of the line
+                    var closing = text.lastIndexOf(")");
+                    if (closing <= opening)
+                        throw error('missing ")" to close the content', opening);
+                    position = opening + 1;
+                    node.content = readText([], false, closing);
+                }
+                position++;
+            }
+            else if (text[position] === "[") {
+                if (hasAttributes)
+                    throw error("an element cannot have several lists of attributes");
+                hasAttributes = true;
+                position++;
+                while (true) {
+                    skipSpaces();
+                    if (position >= text.length)
+                        throw error('missing "]" to close the attributes', opening);
+                    if (text[position] === "]") {
+                        position++;
+                        break;
+                    }
+                    var nameStart = position;
+                    while (position < text.length && !/[\s"'=\]\\]/.test(text[position]) && !isAt(separator))
+                        position++;
+                    var attribute = text.slice(nameStart, position);
+                    if (!attribute)
+                        throw unexpected();
+                    if (!/^[A-Za-z_:][\w:.-]*$/.test(attribute)) {
+                        throw error('invalid attribute name "' + attribute + '"', nameStart);
+                    }
+                    var value = null;
+                    skipSpaces();
+                    if (text[position] === "=") {
+                        position++;
+                        skipSpaces();
+                        var quote = text[position];
+                        if (quote === '"' || quote === "'") {
+                            var quoteStart = position;
+                            position++;
+                            value = readText([quote], false);
+                            if (text[position] !== quote)
+                                throw error("unclosed quoted value", quoteStart);
+                            position++;
+                        }
+                        else {
+                            value = readText([separator, "]"], false);
+                            // the spaces before the separator are not a part of the value
+                            var last = value[value.length - 1];
+                            if (typeof last === "string") {
+                                last = last.replace(/\s+$/, "");
+                                last ? (value[value.length - 1] = last) : value.pop();
+                            }
+                        }
+                    }
+                    node.attributes.push({ name: attribute, value: value });
+                    skipSpaces();
+                    if (isAt(separator)) {
+                        position += separator.length;
+                    }
+                    else if (text[position] !== "]" && position < text.length) {
+                        throw error('"' + separator + '" or "]" expected after the attribute "' + attribute + '"');
+                    }
+                }
+            }
+            else if (text[position] === "@") {
+                position++;
+                while (true) {
+                    skipSpaces();
+                    var event = read(/^[\w-]+/);
+                    if (!event)
+                        throw position < text.length ? unexpected() : error("an event name is expected");
+                    if (/\d/.test(event[0]))
+                        throw error('invalid event name "' + event + '"', position - event.length);
+                    node.events.push(event);
+                    skipSpaces();
+                    if (!isAt(separator))
+                        break;
+                    position += separator.length;
+                }
+            }
+            else {
+                throw unexpected();
+            }
+        }
+        return node;
     }
     /**
-     * Decodes HTML entities like `&amp;` etc.
+     * Decodes HTML entities like `&amp;` etc. Without a DOM, only the numeric entities & the most common named entities
+     * (see `ENTITIES`) are decoded.
      *
      * @param {string} content The content to decode.
      * @return {string} The decoded content.
      * @private
      * {@link https://stackoverflow.com/questions/7394748/whats-the-right-way-to-decode-a-string-that-has-special-html-entities-in-it/7394787#7394787}
      */
-    _decodeHTMLEntities(content) {
-        var txt = document.createElement("textarea");
-        txt.innerHTML = content;
-        return txt.value;
+    static _decodeHTMLEntities(content) {
+        if (content.indexOf("&") === -1)
+            return content;
+        if (typeof document !== "undefined") {
+            var txt = document.createElement("textarea");
+            txt.innerHTML = content;
+            return txt.value;
+        }
+        return content.replace(/&(#x[\da-f]+|#\d+|[a-z][a-z\d]*);/gi, function (entity, name) {
+            if (name[0] === "#") {
+                var code = name[1] === "x" || name[1] === "X" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+                return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+            }
+            return HTMLBuilder.ENTITIES.hasOwnProperty(name) ? HTMLBuilder.ENTITIES[name] : entity;
+        });
+    }
+    /**
+     * Escapes a text for the HTML markup.
+     *
+     * @param {string} text The text.
+     * @param {boolean} attribute Is it the value of an attribute (between double quotes)?
+     * @return {string} The escaped text.
+     * @private
+     */
+    static _escapeHTML(text, attribute) {
+        text = text.replace(/&/g, "&amp;");
+        return attribute ? text.replace(/"/g, "&quot;") : text.replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    }
+    /**
+     * Gets the parent of the generated elements.
+     *
+     * @param {string} method The name of the method that needs the parent, for the error.
+     * @return {HTMLElement} The parent.
+     * @private
+     * @throws If there is no parent (without a DOM).
+     */
+    _getParent(method) {
+        if (!this.parent) {
+            throw new Error(method + "(): there is no parent element, use `HTMLBuilder.renderToString()` without a DOM.");
+        }
+        return this.parent;
+    }
+    /**
+     * Gets a value from the scopes of the loops (from the innermost one) or from the data.
+     *
+     * @param {string} path The name of the value (`name` or `user.name`).
+     * @param {Array<Object>} scopes The scopes of the loops around the line.
+     * @return {any} The value.
+     * @private
+     */
+    _lookup(path, scopes) {
+        var keys = path.split(".");
+        var value = this.data;
+        for (var i = scopes.length - 1; i >= 0; i--) {
+            if (keys[0] in scopes[i]) {
+                value = scopes[i];
+                break;
+            }
+        }
+        for (var key of keys) {
+            if (value === null || value === undefined)
+                break;
+            value = value[key];
+        }
+        return value;
+    }
+    /**
+     * Gets the value of a placeholder.
+     *
+     * @param {string} path The name of the value (`name` or `user.name`).
+     * @param {Array<Object>} scopes The scopes of the loops around the line.
+     * @return {string} The value, or an empty string if it is not defined.
+     * @private
+     */
+    _resolve(path, scopes) {
+        var value = this._lookup(path, scopes);
+        return value === null || value === undefined ? "" : String(value);
+    }
+    /**
+     * Gets the array of a loop.
+     *
+     * @param {string} path The name of the array.
+     * @param {TemplateNode} node The node of the loop.
+     * @param {Array<Object>} scopes The scopes of the loops around the line.
+     * @return {Array<any>} The items (none if the value is not defined).
+     * @private
+     * @throws If the value is not an array.
+     */
+    _getItems(path, node, scopes) {
+        var items = this._lookup(path, scopes);
+        if (items === null || items === undefined)
+            return [];
+        if (!Array.isArray(items)) {
+            throw new Error('HTMLBuilder: "' + path + '" is not an array (line ' + node.line + ", column " + node.column + ").");
+        }
+        return items;
+    }
+    /**
+     * Replaces the placeholders of a text by their value.
+     *
+     * @param {TemplateText} text The text.
+     * @param {Array<Object> | null} scopes The scopes of the loops around the line, or null to keep the placeholders.
+     * @return {string} The text with the values.
+     * @private
+     */
+    _interpolate(text, scopes) {
+        var result = "";
+        for (var part of text) {
+            if (typeof part === "string")
+                result += part;
+            else
+                result += scopes ? this._resolve(part.path, scopes) : "{{" + part.path + "}}";
+        }
+        return result;
+    }
+    /**
+     * Interpolates a text & keeps the node (or the attribute) up to date if the text contains placeholders.
+     *
+     * @param {Node} node The text node or the element.
+     * @param {string | null} attribute The name of the attribute, or null for a text node.
+     * @param {TemplateText} text The text with the placeholders.
+     * @param {Array<Object>} scopes The scopes of the loops around the line.
+     * @return {string} The text with the values.
+     * @private
+     */
+    _bind(node, attribute, text, scopes) {
+        var value = this._interpolate(text, scopes);
+        if (text.some(function (part) {
+            return typeof part !== "string";
+        })) {
+            this.bindings.push({
+                node: node,
+                root: this.parent,
+                attribute: attribute,
+                text: text,
+                value: value,
+                scopes: scopes,
+            });
+        }
+        return value;
+    }
+    /**
+     * Releases the bindings of the nodes removed from the parent in which they have been generated
+     * (a regenerated body, a killed window...), so that they are neither kept nor updated anymore.
+     * @private
+     */
+    _releaseBindings() {
+        this.bindings = this.bindings.filter(function (binding) {
+            return binding.root.contains(binding.node);
+        });
+    }
+    /**
+     * Updates the data & the text nodes & the attributes whose value has changed.
+     * The elements are not recreated, so they keep their listeners.
+     *
+     * @param {Object} data The new values (merged with the previous data).
+     * @public
+     */
+    update(data) {
+        for (var key in data) {
+            this.data[key] = data[key];
+        }
+        this._releaseBindings();
+        for (var binding of this.bindings) {
+            var value = this._interpolate(binding.text, binding.scopes);
+            if (value === binding.value)
+                continue;
+            binding.value = value;
+            if (binding.attribute === null) {
+                binding.node.textContent = value;
+            }
+            else {
+                var element = binding.node;
+                element.setAttribute(binding.attribute, value);
+                // the attribute "value" of a field is only its default value
+                if (binding.attribute === "value" && "value" in element) {
+                    element.value = value;
+                }
+            }
+        }
     }
     /**
      * Gets an event according to its name.
@@ -927,189 +7010,411 @@ class HTMLBuilder {
         return null;
     }
     /**
-     * Generates a new HTML element from a line (you must use a specific syntax & order).
+     * Adds the listeners of the events of a line to an element.
      *
-     * @param {string} line The line to parse.
-     * @return {HTMLElement} The generated HTML element.
+     * @param {HTMLElement} element The element.
+     * @param {Array<string>} events The names of the events.
      * @private
-     * @throws If there is no tagname.
-     */
-    _createElementFromLine(line) {
-        // Be careful when you use exec() with the global flag
-        // If you use a global flag, then set the lastIndex property of the regex to 0 (its initial value).
-        // this.REGEX.lastIndex = 0;
-        //
-        // https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/RegExp/exec#finding_successive_matches
-        var matches = this.REGEX.exec(line) || [];
-        var tagname = matches[1] || null;
-        var classes = matches[2] ? matches[2].split(".").filter((v) => v !== "") : null;
-        var id = matches[3] ? matches[3].replace("#", "") : null;
-        var content = matches[4] || null;
-        var attributes = matches[5] ? matches[5].split(this.SYMBOL_BETWEEN_ATTRIBUTES) : null;
-        var events = matches[6] ? matches[6].split(";").filter((v) => v !== "") : null;
-        if (!tagname) {
-            throw new Error('HTMLBuilder: unable to parse a line: "' + line + '"');
-        }
-        var element = document.createElement(tagname);
-        if (classes) {
-            for (var c of classes) {
-                if (/\d/.test(c[0])) {
-                    console.error("HTMLBuilder: invalid syntax for class name '" + c + "'");
-                    continue;
-                }
-                element.classList.add(c);
+     */
+    _listen(element, events) {
+        for (var name of events) {
+            var event = this._searchForEvent(name);
+            if (event) {
+                // @ts-ignore
+                element.addEventListener(event.type, event.callback, event.options);
             }
         }
-        if (attributes) {
-            for (var attr of attributes) {
-                if (/\d/.test(attr[0])) {
-                    console.error("HTMLBuilder: invalid syntax for attribute name '" + attr + "'");
-                    continue;
-                }
-                attr = attr.trim();
-                if (attr.indexOf("=") !== -1) {
-                    var name = attr.split("=")[0];
-                    var value = attr.split("=")[1];
-                    element.setAttribute(name, value);
-                }
-                else {
-                    element.setAttribute(attr, "");
-                }
-            }
+    }
+    /**
+     * Gets the content of an element, with the decoded entities.
+     *
+     * @param {TemplateElementNode} node The node of the element.
+     * @return {TemplateText | null} The content, or null if there is no content.
+     * @private
+     */
+    _getContent(node) {
+        if (!node.content || node.content.length === 0)
+            return null;
+        return node.content.map(function (part) {
+            return typeof part === "string" ? HTMLBuilder._decodeHTMLEntities(part) : part;
+        });
+    }
+    /**
+     * Generates the HTML element of a node & its children.
+     *
+     * @param {TemplateElementNode} node The node of the element.
+     * @param {boolean} interpolate Should the placeholders be replaced by their value?
+     * @param {Array<Object>} scopes The scopes of the loops around the line.
+     * @return {HTMLElement} The generated HTML element.
+     * @private
+     */
+    _createElement(node, interpolate, scopes) {
+        var element = document.createElement(node.tag);
+        for (var c of node.classes) {
+            element.classList.add(c);
         }
-        if (id)
-            element.id = id;
-        if (content)
-            element.appendChild(document.createTextNode(this._decodeHTMLEntities(content)));
-        if (events) {
-            for (var name of events) {
-                if (/\d/.test(name[0])) {
-                    console.error("HTMLBuilder: invalid syntax for event name '" + name + "'");
-                    continue;
-                }
-                var event = this._searchForEvent(name);
-                if (event) {
-                    // @ts-ignore
-                    element.addEventListener(event.type, event.callback, event.options);
-                }
+        for (var attribute of node.attributes) {
+            var value = "";
+            if (attribute.value) {
+                value = interpolate
+                    ? this._bind(element, attribute.name, attribute.value, scopes)
+                    : this._interpolate(attribute.value, null);
             }
+            element.setAttribute(attribute.name, value);
         }
+        if (node.id !== null)
+            element.id = node.id;
+        // the children are placed before the content
+        this._render(node.children, element, interpolate, scopes);
+        var content = this._getContent(node);
+        if (content) {
+            var textNode = document.createTextNode("");
+            textNode.data = interpolate
+                ? this._bind(textNode, null, content, scopes)
+                : this._interpolate(content, null);
+            element.appendChild(textNode);
+        }
+        this._listen(element, node.events);
         return element;
     }
     /**
-     * Gets the maximum level of indentation.
+     * Generates the markup of a node & its children, like `_createElement()`.
      *
-     * @param {Array} children The list of children of a main element from a template.
-     * @return {number} The maximum level of indentation of a list of children.
+     * @param {TemplateElementNode} node The node of the element.
+     * @param {boolean} interpolate Should the placeholders be replaced by their value?
+     * @param {Array<Object>} scopes The scopes of the loops around the line.
+     * @return {string} The HTML markup.
      * @private
      */
-    _maxLevel(children) {
-        var max = children[0][1];
-        for (var child of children) {
-            var level = child[1];
-            if (level > max) {
-                max = level;
+    _createMarkup(node, interpolate, scopes) {
+        // the same attributes, in the same order, as with `setAttribute()`
+        var attributes = [];
+        var set = function (name, value) {
+            for (var attribute of attributes) {
+                if (attribute[0] === name) {
+                    attribute[1] = value;
+                    return;
+                }
             }
+            attributes.push([name, value]);
+        };
+        if (node.classes.length > 0)
+            set("class", node.classes.join(" "));
+        for (var attribute of node.attributes) {
+            set(attribute.name, attribute.value ? this._interpolate(attribute.value, interpolate ? scopes : null) : "");
+        }
+        if (node.id !== null)
+            set("id", node.id);
+        var html = "<" + node.tag;
+        for (var pair of attributes) {
+            html += " " + pair[0] + '="' + HTMLBuilder._escapeHTML(pair[1], true) + '"';
         }
-        return max;
+        html += ">";
+        if (HTMLBuilder.VOID_ELEMENTS.indexOf(node.tag.toLowerCase()) !== -1)
+            return html;
+        html += this._renderMarkup(node.children, interpolate, scopes);
+        var content = this._getContent(node);
+        if (content)
+            html += HTMLBuilder._escapeHTML(this._interpolate(content, interpolate ? scopes : null), false);
+        return html + "</" + node.tag + ">";
     }
     /**
-     * Gets the index of the deepest element. The deepest element is the last child to have the highest level of indentation.
+     * Attaches the listeners & the placeholders of a node to the element generated from it (by `renderToString()`),
+     * and then to its children.
      *
-     * @param {Array} children The list of children of a main element from a template.
-     * @return {number} The index of the deepest child.
+     * @param {TemplateElementNode} node The node of the element.
+     * @param {HTMLElement} element The pre-rendered element.
+     * @param {boolean} interpolate Should the placeholders be replaced by their value?
+     * @param {Array<Object>} scopes The scopes of the loops around the line.
      * @private
+     * @throws If the markup of the children doesn't match the template.
      */
-    _getIndexOfDeepestElement(children) {
-        var max = this._maxLevel(children);
-        if (max === 1) {
-            // If all the elements are on the closest possible level (1),
-            // then we want to append the last child of the list.
-            // Remember that we do a prepend() not an append(),
-            // therefore the last one must go first in order to keep the right order
-            return children.length - 1;
+    _hydrateElement(node, element, interpolate, scopes) {
+        if (interpolate) {
+            for (var attribute of node.attributes) {
+                if (!attribute.value)
+                    continue;
+                var value = this._bind(element, attribute.name, attribute.value, scopes);
+                if (element.getAttribute(attribute.name) !== value)
+                    element.setAttribute(attribute.name, value);
+            }
         }
-        var lastIndex = 1;
-        for (var i = 0; i < children.length; i++) {
-            var level = children[i][1];
-            if (level === max) {
-                lastIndex = i;
+        var content = this._getContent(node);
+        if (content) {
+            // the content is the last child (there is no text node for an empty content)
+            var textNode = element.lastChild;
+            if (!textNode || textNode.nodeType !== Node.TEXT_NODE) {
+                textNode = document.createTextNode("");
+                element.appendChild(textNode);
             }
+            var text = interpolate ? this._bind(textNode, null, content, scopes) : this._interpolate(content, null);
+            if (textNode.data !== text)
+                textNode.data = text;
+        }
+        this._listen(element, node.events);
+        var next = this._hydrateNodes(node.children, element.firstElementChild, interpolate, scopes);
+        if (next) {
+            throw new Error("HTMLBuilder: the markup does not match the template, <" +
+                next.tagName.toLowerCase() +
+                "> is not in the template (line " +
+                node.line +
+                ", column " +
+                node.column +
+                ").");
         }
-        return lastIndex;
     }
     /**
-     * Gets the index of the nearest element of the deepest one. This child is the parent element of the deepest one.
+     * Calls a function for every element generated by a list of nodes: the directives repeat or include their block.
      *
-     * @param indexOfDeepest The index of the deepest element.
-     * @param children The list of children of a main element from a template.
-     * @return {number} The index of the nearest child.
+     * @param {Array<TemplateNode>} nodes The nodes.
+     * @param {Array<Object>} scopes The scopes of the loops around the nodes.
+     * @param {Function} callback The function called with the node of each element & its scopes.
      * @private
+     * @throws If a loop is not applied to an array.
      */
-    _getIndexOfNearestParentElementOf(indexOfDeepest, children) {
-        var deepest = children[indexOfDeepest][1];
-        var lastIndex = null;
-        for (var i = 0; i < indexOfDeepest; i++) {
-            var level = children[i][1];
-            if (level === deepest - 1) {
-                lastIndex = i;
+    _expand(nodes, scopes, callback) {
+        for (var node of nodes) {
+            if (node.type === "for") {
+                var items = this._getItems(node.path, node, scopes);
+                for (var k = 0; k < items.length; k++) {
+                    var scope = {};
+                    scope[node.item] = items[k];
+                    scope[node.index] = k;
+                    this._expand(node.children, scopes.concat([scope]), callback);
+                }
+            }
+            else if (node.type === "if") {
+                var value = this._lookup(node.path, scopes);
+                // an empty array is false
+                var condition = Array.isArray(value) ? value.length > 0 : !!value;
+                if (node.negate)
+                    condition = !condition;
+                this._expand(condition ? node.children : node.alternate || [], scopes, callback);
+            }
+            else if (node.repeat !== null) {
+                var items = this._getItems(node.repeat, node, scopes);
+                for (var k = 0; k < items.length; k++) {
+                    // the fields of the item are available directly
+                    var itemScopes = scopes.slice();
+                    if (items[k] !== null && typeof items[k] === "object")
+                        itemScopes.push(items[k]);
+                    itemScopes.push({ item: items[k], index: k });
+                    callback(node, itemScopes);
+                }
+            }
+            else {
+                callback(node, scopes);
             }
         }
-        return lastIndex;
+    }
+    /**
+     * Generates the elements of a list of nodes in a parent.
+     *
+     * @param {Array<TemplateNode>} nodes The nodes.
+     * @param {Node} parent The parent of the generated elements.
+     * @param {boolean} interpolate Should the placeholders be replaced by their value?
+     * @param {Array<Object>} scopes The scopes of the loops around the nodes.
+     * @private
+     */
+    _render(nodes, parent, interpolate, scopes) {
+        var self = this;
+        this._expand(nodes, scopes, function (node, scopes) {
+            parent.appendChild(self._createElement(node, interpolate, scopes));
+        });
+    }
+    /**
+     * Generates the markup of a list of nodes.
+     *
+     * @param {Array<TemplateNode>} nodes The nodes.
+     * @param {boolean} interpolate Should the placeholders be replaced by their value?
+     * @param {Array<Object>} scopes The scopes of the loops around the nodes.
+     * @return {string} The HTML markup.
+     * @private
+     */
+    _renderMarkup(nodes, interpolate, scopes) {
+        var self = this;
+        var html = "";
+        this._expand(nodes, scopes, function (node, scopes) {
+            html += self._createMarkup(node, interpolate, scopes);
+        });
+        return html;
+    }
+    /**
+     * Hydrates the pre-rendered elements of a list of nodes.
+     *
+     * @param {Array<TemplateNode>} nodes The nodes.
+     * @param {Element | null} first The element generated from the first node.
+     * @param {boolean} interpolate Should the placeholders be replaced by their value?
+     * @param {Array<Object>} scopes The scopes of the loops around the nodes.
+     * @return {Element | null} The element after the ones of the nodes.
+     * @private
+     * @throws If the markup doesn't match the template.
+     */
+    _hydrateNodes(nodes, first, interpolate, scopes) {
+        var self = this;
+        var current = first;
+        this._expand(nodes, scopes, function (node, scopes) {
+            if (!current || current.tagName.toLowerCase() !== node.tag.toLowerCase()) {
+                throw new Error("HTMLBuilder: the markup does not match the template, <" +
+                    node.tag +
+                    "> expected (line " +
+                    node.line +
+                    ", column " +
+                    node.column +
+                    ").");
+            }
+            self._hydrateElement(node, current, interpolate, scopes);
+            current = current.nextElementSibling;
+        });
+        return current;
     }
     /**
      * Reproduces a template in full HTML structure and adds it to the parent as a child (there can be several children).
+     * With data, the placeholders (`span({{count}})` or `input[value={{user.name}}]`) are replaced by their value
+     * & updated by `update()`. Without data, the template is literal.
+     * The directives `for item in items`, `if value`, `else` & `li*items` repeat or include the lines of their block.
      *
      * @param {string} template The template of your HTML structure.
+     * @param {Object} data The values of the placeholders (merged with the previous data).
      * @public
+     * @throws {SyntaxError} If the template is invalid (see `HTMLBuilder.parse()`).
      */
-    generate(template) {
-        if (template.trim().length === 0)
-            return;
-        // We read all the lines in order to identify the main HTML elements,
-        // i.e. those without indentation
-        var lines = this._extractLinesFrom(template);
-        var mainLines = [];
-        var i = 0;
-        var k = 0;
-        for (i = 0; i < lines.length; i++) {
-            var line = lines[i];
-            var level = this._level(line);
-            if (level === 0) {
-                mainLines.push([line, i]); // the line & its index among all the lines
-            }
-        }
-        // We read the next lines and we create an array [HTMLElement, its level] that we save
-        // in a list of children, for each main element.
-        for (i = 0; i < mainLines.length; i++) {
-            var childrenElements = [];
-            var mainLine = mainLines[i][0];
-            var mainLevel = mainLines[i][1];
-            var nextMainLevel = mainLines[i + 1] ? mainLines[i + 1][1] : lines.length;
-            var mainElement = this._createElementFromLine(mainLine);
-            // starts at the position of the main line
-            // ends at the position of the next main line
-            // in order to get only its children
-            for (k = mainLevel + 1; k < nextMainLevel; k++) {
-                var line = lines[k];
-                var child = this._createElementFromLine(line);
-                childrenElements.push([child, this._level(line)]);
-            }
-            // We search for the deepest element (i.e. the one with the highest level of indentation)
-            // This deepest has as parent the nearest element which has a level of indentation equal to "child's level - 1"
-            // We call it the "nearest parent element".
-            // Then, because we read the list of children from bottom to top, we prepend() in order to keep the right order.
-            // Indeed, append() would reverse the right order.
-            while (childrenElements.length > 0) {
-                var indexOfDeepest = this._getIndexOfDeepestElement(childrenElements);
-                var indexOfNearestParent = this._getIndexOfNearestParentElementOf(indexOfDeepest, childrenElements);
-                // Don't forget to specify "!== null" because indexOfNearestParent can be 0 (= false)
-                indexOfNearestParent !== null
-                    ? childrenElements[indexOfNearestParent][0].prepend(childrenElements[indexOfDeepest][0])
-                    : mainElement.prepend(childrenElements[indexOfDeepest][0]);
-                childrenElements.splice(indexOfDeepest, 1);
-            }
-            this.parent.appendChild(mainElement);
+    generate(template, data) {
+        var parent = this._getParent("generate");
+        this._releaseBindings();
+        var nodes = HTMLBuilder.parse(template, this.SYMBOL_BETWEEN_ATTRIBUTES, data !== undefined);
+        if (data !== undefined) {
+            for (var key in data) {
+                this.data[key] = data[key];
+            }
+        }
+        this._render(nodes, parent, data !== undefined, []);
+    }
+    /**
+     * Generates the HTML markup of a template, without a DOM (for example on a server).
+     * The events are ignored: `hydrate()` adds them to the elements in the browser.
+     *
+     * @param {string} template The template of your HTML structure.
+     * @param {Object} data The values of the placeholders (without data, the template is literal).
+     * @param {string} separator The symbol between the attributes & between the events (by default `;`).
+     * @return {string} The HTML markup.
+     * @public
+     * @throws {SyntaxError} If the template is invalid (see `HTMLBuilder.parse()`).
+     */
+    static renderToString(template, data, separator = ";") {
+        var builder = new HTMLBuilder();
+        if (data !== undefined)
+            builder.data = data;
+        return builder._renderMarkup(HTMLBuilder.parse(template, separator, data !== undefined), data !== undefined, []);
+    }
+    /**
+     * Takes over the elements generated from a template by `renderToString()`, instead of generating them again:
+     * the events are added & the placeholders are updated by `update()`. The template & the data must be the same.
+     *
+     * @param {string} template The template of the pre-rendered elements.
+     * @param {Object} data The values of the placeholders (merged with the previous data).
+     * @param {Element} first The first pre-rendered element (by default the first child of the parent).
+     * @public
+     * @throws {SyntaxError} If the template is invalid (see `HTMLBuilder.parse()`).
+     * @throws If the markup doesn't match the template.
+     */
+    hydrate(template, data, first) {
+        var parent = this._getParent("hydrate");
+        if (first && first.parentElement !== parent) {
+            throw new Error("hydrate(template, data, first): the first element must be a child of the parent.");
+        }
+        this._releaseBindings();
+        var nodes = HTMLBuilder.parse(template, this.SYMBOL_BETWEEN_ATTRIBUTES, data !== undefined);
+        if (data !== undefined) {
+            for (var key in data) {
+                this.data[key] = data[key];
+            }
         }
+        this._hydrateNodes(nodes, first || parent.firstElementChild, data !== undefined, []);
     }
 }
+/**
+ * The regular expression of the path of a value: `name` or `user.name`.
+ * @type {RegExp}
+ * @constant
+ * @private
+ */
+HTMLBuilder.PATH_REGEX = /^[\w$]+(?:\.[\w$]+)*$/;
+/**
+ * The regular expressions of the directives: `for item in items` (or `for item, i in items`) & `if value` (or `if !value`).
+ * The repetition of a line (`li*items`) is a part of the syntax of the elements.
+ * @constant
+ * @private
+ */
+HTMLBuilder.DIRECTIVES = {
+    for: /^for\s+([\w$]+)(?:\s*,\s*([\w$]+))?\s+in\s+([\w$]+(?:\.[\w$]+)*)$/,
+    if: /^if\s+(!?)\s*([\w$]+(?:\.[\w$]+)*)$/,
+};
+/**
+ * The elements without closing tag.
+ * @constant
+ * @private
+ */
+HTMLBuilder.VOID_ELEMENTS = [
+    "area",
+    "base",
+    "br",
+    "col",
+    "embed",
+    "hr",
+    "img",
+    "input",
+    "link",
+    "meta",
+    "source",
+    "track",
+    "wbr",
+];
+/**
+ * The named HTML entities decoded without a DOM (with a DOM, all of them are decoded).
+ * @constant
+ * @private
+ */
+HTMLBuilder.ENTITIES = {
+    amp: "&",
+    lt: "<",
+    gt: ">",
+    quot: '"',
+    apos: "'",
+    nbsp: "\u00A0",
+    copy: "\u00A9",
+    reg: "\u00AE",
+    trade: "\u2122",
+    deg: "\u00B0",
+    times: "\u00D7",
+    divide: "\u00F7",
+    middot: "\u00B7",
+    bull: "\u2022",
+    hellip: "\u2026",
+    ndash: "\u2013",
+    mdash: "\u2014",
+    lsquo: "\u2018",
+    rsquo: "\u2019",
+    ldquo: "\u201C",
+    rdquo: "\u201D",
+    laquo: "\u00AB",
+    raquo: "\u00BB",
+    euro: "\u20AC",
+    larr: "\u2190",
+    uarr: "\u2191",
+    rarr: "\u2192",
+    darr: "\u2193",
+};
+// with CommonJS (Node.js), the classes are also exported, in order to render the markup on a server
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        Dragger: Dragger,
+        Resizer: Resizer,
+        WindowStructure: WindowStructure,
+        WindowManager: WindowManager,
+        LocalStorageAdapter: LocalStorageAdapter,
+        Taskbar: Taskbar,
+        WindowStructureElement: WindowStructureElement,
+        HTMLBuilder: HTMLBuilder,
+    };
+}